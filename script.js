@@ -5,7 +5,7 @@
    Features:
    - Smooth scrolling + active section highlighting
    - Mobile navigation (panel) with focus trapping + ESC close
-   - Overlays/Modals: Search, Weather, Planner, Gallery lightbox, Article reader
+   - Overlays/Modals: Search, Weather, Planner, Command palette, Gallery lightbox, Article reader
    - IntersectionObserver reveal-on-scroll animation system
    - Dynamic Weather widget for Kurdish cities (Open-Meteo, no API key)
    - Interactive sliders (scroll-snap + buttons + keyboard + drag assist)
@@ -16,7 +16,8 @@
 
    Notes:
    - This script is defensive: it only wires features if matching DOM nodes exist.
-   - Weather uses Open-Meteo endpoints; requires internet access.
+   - Weather uses Open-Meteo endpoints by default; requires internet access.
+     Append ?weatherProvider=fixture to serve recorded data from data/weather-fixture.json offline.
    ========================================================= */
 
 (() => {
@@ -256,6 +257,8 @@
       searchOverlay: "#searchOverlay, [data-overlay='search']",
       weatherOverlay: "#weatherOverlay, [data-overlay='weather']",
       plannerOverlay: "#plannerOverlay, [data-overlay='planner']",
+      commandPalette: "#commandPalette, [data-overlay='palette']",
+      weatherButton: "#openWeatherPanel, [data-open='weather']",
       galleryModal: "#galleryModal, .modal--gallery, [data-modal='gallery']",
       articleModal: "#articleModal, .modal--article, [data-modal='article']",
 
@@ -308,33 +311,175 @@
     storageKeys: {
       theme: "kurdistan_theme",
       weatherCache: "kurdistan_weather_cache",
-      weatherUnits: "kurdistan_weather_units",
+      weatherUnits: "kurdistan_weather_units", // legacy "c"/"f", read once to migrate
+      weatherUnitPrefs: "kurdistan_weather_unit_prefs",
       lastCity: "kurdistan_weather_city",
       galleryCompact: "kurdistan_gallery_compact",
       newsPage: "kurdistan_news_page",
+      recentSearches: "kurdistan_recent_searches",
+      savedCities: "kurdistan_saved_cities",
+      plannerLibrary: "kurdistan_planner_library",
     },
 
     // Kurdish region/cities: approximate coordinates for weather
     cities: [
-      { id: "erbil", name: "Erbil (Hewlêr)", country: "Iraq", lat: 36.1911, lon: 44.0092 },
-      { id: "sulaymaniyah", name: "Sulaymaniyah (Silêmanî)", country: "Iraq", lat: 35.5653, lon: 45.4329 },
-      { id: "duhok", name: "Duhok (Dihok)", country: "Iraq", lat: 36.8667, lon: 42.95 },
-      { id: "halabja", name: "Halabja", country: "Iraq", lat: 35.1815, lon: 45.9866 },
-      { id: "zakho", name: "Zakho", country: "Iraq", lat: 37.1431, lon: 42.6861 },
-      { id: "kirkuk", name: "Kirkuk", country: "Iraq", lat: 35.4681, lon: 44.3922 },
+      { id: "erbil", name: "Erbil (Hewlêr)", country: "Iraq", lat: 36.1911, lon: 44.0092, aliases: ["Arbil", "هەولێر", "أربيل"] },
+      { id: "sulaymaniyah", name: "Sulaymaniyah (Silêmanî)", country: "Iraq", lat: 35.5653, lon: 45.4329, aliases: ["Slemani", "سلێمانی", "السليمانية"] },
+      { id: "duhok", name: "Duhok (Dihok)", country: "Iraq", lat: 36.8667, lon: 42.95, aliases: ["Dohuk", "دهۆک", "دهوك"] },
+      { id: "halabja", name: "Halabja", country: "Iraq", lat: 35.1815, lon: 45.9866, aliases: ["Helebce", "هەڵەبجە", "حلبجة"] },
+      { id: "zakho", name: "Zakho", country: "Iraq", lat: 37.1431, lon: 42.6861, aliases: ["Zaxo", "زاخۆ", "زاخو"] },
+      { id: "kirkuk", name: "Kirkuk", country: "Iraq", lat: 35.4681, lon: 44.3922, aliases: ["Kerkûk", "کەرکووک", "كركوك"] },
     ],
 
-    // Open-Meteo endpoints
+    // Offline solar calculator: sun elevations (degrees) that bound each light period.
+    // Golden hour runs from `golden` down to `blue`, blue hour from `blue` to `civil`.
+    solar: {
+      timezone: "Asia/Baghdad", // built-in cities; saved places carry their own
+      horizon: -0.833, // sunrise/sunset, allowing for refraction and the sun's radius
+      golden: 6,
+      blue: -4,
+      civil: -6,
+    },
+
+    // Weather: provider adapter + Open-Meteo endpoints
     weather: {
+      // Per-measure units. `factor` converts to the first (base) unit of each measure; `openMeteo` is
+      // the request value for native units (pressure has none, so it is always converted client-side).
+      units: {
+        presets: {
+          metric: { temperature: "celsius", wind: "kmh", precipitation: "mm", pressure: "hPa" },
+          imperial: { temperature: "fahrenheit", wind: "mph", precipitation: "inch", pressure: "inHg" },
+        },
+        measures: {
+          temperature: {
+            celsius: { label: "°C", name: "Celsius", openMeteo: "celsius", digits: 0 },
+            fahrenheit: { label: "°F", name: "Fahrenheit", openMeteo: "fahrenheit", digits: 0 },
+          },
+          wind: {
+            kmh: { label: "km/h", name: "km/h", openMeteo: "kmh", factor: 1, digits: 0 },
+            mph: { label: "mph", name: "mph", openMeteo: "mph", factor: 1.609344, digits: 0 },
+            ms: { label: "m/s", name: "m/s", openMeteo: "ms", factor: 3.6, digits: 1 },
+            kn: { label: "kn", name: "Knots", openMeteo: "kn", factor: 1.852, digits: 0 },
+          },
+          precipitation: {
+            mm: { label: "mm", name: "Millimetres", openMeteo: "mm", factor: 1, digits: 1 },
+            inch: { label: "in", name: "Inches", openMeteo: "inch", factor: 25.4, digits: 2 },
+          },
+          pressure: {
+            hPa: { label: "hPa", name: "hPa", factor: 1, digits: 0 },
+            inHg: { label: "inHg", name: "inHg", factor: 33.8639, digits: 2 },
+            mmHg: { label: "mmHg", name: "mmHg", factor: 1.33322, digits: 0 },
+          },
+        },
+      },
+      provider: "open-meteo", // "open-meteo" | "fixture" | any registerWeatherProvider() name
+      fixtureUrl: "data/weather-fixture.json",
       base: "https://api.open-meteo.com/v1/forecast",
-      // We'll request current + hourly for a compact mini forecast
+      // Place search ("Find a place"); the fixture provider filters a recorded response instead
+      geocodeBase: "https://geocoding-api.open-meteo.com/v1/search",
+      airQualityBase: "https://air-quality-api.open-meteo.com/v1/air-quality",
+      airQualityFixtureUrl: "data/air-quality-fixture.json",
+      // Climate normals: averaged from the historical archive, or the bundled dataset offline
+      climateBase: "https://archive-api.open-meteo.com/v1/archive",
+      climateDatasetUrl: "data/climate-normals.json",
+      geocodeFixtureUrl: "data/geocoding-fixture.json",
+      geocodeCount: 8,
+      savedMax: 12,
+      // We'll request current + hourly for a compact mini forecast, plus a 7-day daily outlook
       params: {
-        current: "temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m",
-        hourly: "temperature_2m,weather_code,wind_speed_10m,relative_humidity_2m",
+        current: "temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation,pressure_msl",
+        hourly: "temperature_2m,weather_code,wind_speed_10m,wind_direction_10m,relative_humidity_2m,precipitation_probability,precipitation",
+        daily: "weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum,sunrise,sunset,uv_index_max",
         timezone: "auto",
         forecast_hours: 24,
+        forecast_days: 7,
+        airQuality: "us_aqi,pm2_5,pm10,dust,uv_index,grass_pollen,birch_pollen,olive_pollen",
+        climate: "temperature_2m_max,temperature_2m_min,precipitation_sum,sunshine_duration",
+      },
+      // Month scoring for the "best time to visit" window (0–1, weighted); highs inside the comfort
+      // band score 1 and fade to 0 `falloff` degrees outside it
+      climate: {
+        years: 10,
+        ttlMs: 30 * 24 * 60 * 60 * 1000, // normals barely move; keep them a month
+        comfort: { min: 18, max: 30, falloff: 8 },
+        wetMm: 120, // monthly rainfall that zeroes the rain score
+        sunnyHours: 8, // daily sunshine that maxes the sun score
+        weights: { temp: 0.6, rain: 0.25, sun: 0.15 },
+        windowScore: 0.65,
       },
+      // US AQI / WHO UV bands; the first band whose max is >= the reading applies
+      airQuality: {
+        aqiScale: [
+          { max: 50, label: "Good", color: "#4caf6a", advice: "Air quality is good. Enjoy outdoor sightseeing." },
+          { max: 100, label: "Moderate", color: "#e3c14b", advice: "Acceptable for most. Unusually sensitive people should limit long exertion outdoors." },
+          { max: 150, label: "Unhealthy for sensitive groups", color: "#e8893a", advice: "Children, older adults and people with asthma or heart conditions should reduce prolonged outdoor exertion." },
+          { max: 200, label: "Unhealthy", color: "#d64545", advice: "Everyone may feel effects. Prefer indoor visits and keep hikes short." },
+          { max: 300, label: "Very unhealthy", color: "#8e4bb5", advice: "Health alert: avoid outdoor exertion and keep windows closed." },
+          { max: Infinity, label: "Hazardous", color: "#7a1f2b", advice: "Emergency conditions: stay indoors and postpone travel where possible." },
+        ],
+        uvScale: [
+          { max: 2.9, label: "Low", color: "#4caf6a", advice: "" },
+          { max: 5.9, label: "Moderate", color: "#e3c14b", advice: "Seek shade around midday and wear sunglasses." },
+          { max: 7.9, label: "High", color: "#e8893a", advice: "Use SPF 30+, a hat and shade between 11:00 and 15:00." },
+          { max: 10.9, label: "Very high", color: "#d64545", advice: "Minimise midday sun; cover up and reapply sunscreen often." },
+          { max: Infinity, label: "Extreme", color: "#8e4bb5", advice: "Avoid the sun around midday; unprotected skin burns in minutes." },
+        ],
+        dustAlert: 100, // µg/m³ of dust — typical of the spring dust storms
+        dustAdvice: "Wear a mask outdoors, keep windows closed and postpone mountain drives if visibility drops.",
+      },
+      // Hazard rules, checked against current, hourly (horizonHours) and daily data. Thresholds are metric
+      // (°C, km/h) whatever the display units; `unit` names the measure being compared.
+      // A rule matches a value `above`/`below` its threshold on `metrics`, or any of its weather `codes`.
+      alerts: {
+        horizonHours: 24,
+        rules: [
+          { id: "heat", severity: "warning", label: "Extreme heat", metrics: ["temperature", "tempMax"], above: 40, unit: "temperature", advice: "Avoid midday sightseeing, carry water and rest in the shade." },
+          { id: "wind", severity: "advisory", label: "Strong wind", metrics: ["windSpeed"], above: 50, unit: "wind", advice: "Secure loose items and take care on exposed mountain roads." },
+          { id: "thunderstorm", severity: "warning", label: "Thunderstorms", codes: [95, 96, 99], advice: "Stay off ridges and open ground; postpone hikes until storms pass." },
+          { id: "freezing", severity: "advisory", label: "Freezing rain or drizzle", codes: [56, 57, 66, 67], advice: "Roads and passes may be icy; drive slowly or delay mountain trips." },
+          { id: "frost", severity: "advisory", label: "Freezing temperatures", metrics: ["temperature", "tempMin"], below: 0, unit: "temperature", advice: "Dress in layers and expect ice on higher roads early in the day." },
+        ],
+      },
+      // Stale-while-revalidate: fresh entries render as-is; stale ones render immediately, refresh
+      // in the background, and stay the offline fallback until cacheMaxStaleMs.
       cacheTtlMs: 10 * 60 * 1000, // 10 minutes
+      cacheMaxStaleMs: 24 * 60 * 60 * 1000, // 24 hours
+      // Least recently used entries are evicted first. Room for a forecast, air quality and climate
+      // entry per built-in city and saved place (6 + savedMax = 18), plus forecasts in other units
+      cacheMaxEntries: 80,
+      cacheVersion: 4, // bump when the cached model changes shape
+      // Per-attempt timeout, then exponential backoff (base, 2×base, …) for transient failures
+      timeoutMs: 8000,
+      retries: 2,
+      retryBaseMs: 600,
+    },
+
+    // Site search ranking + normalization
+    search: {
+      // Field weights: a title hit outranks a tag hit, which outranks a description hit
+      fieldWeights: { title: 3, tags: 2, desc: 1 },
+      // Badge multipliers applied to the final score
+      badgeWeights: { City: 1.35, Section: 1.2, Card: 1 },
+      // Bonus when the whole query appears as a phrase in the title
+      phraseBonus: 2,
+      // Recent searches kept in localStorage
+      recentMax: 8,
+      // Query syntax: `field:value` filters (aliases map onto the canonical field)
+      queryFields: { section: "section", in: "section", type: "type", is: "type", category: "category", cat: "category", tag: "tag" },
+      // Sorani / Arabic-script letters → Latin (Hawar) equivalents, so both scripts meet in one form
+      transliteration: {
+        "ا": "a", "ب": "b", "پ": "p", "ت": "t", "ث": "s", "ج": "c", "چ": "c", "ح": "h", "خ": "x",
+        "د": "d", "ذ": "z", "ر": "r", "ڕ": "r", "ز": "z", "ژ": "j", "س": "s", "ش": "s", "ص": "s",
+        "ض": "z", "ط": "t", "ظ": "z", "ع": "", "غ": "x", "ف": "f", "ڤ": "v", "ق": "q", "ک": "k",
+        "ك": "k", "گ": "g", "ل": "l", "ڵ": "l", "م": "m", "ن": "n", "ه": "h", "ھ": "h", "ە": "e",
+        "ة": "e", "و": "w", "ۆ": "o", "ی": "i", "ي": "i", "ى": "i", "ێ": "e", "ئ": "", "ء": "",
+      },
+    },
+
+    // Command palette result caps
+    palette: {
+      maxActions: 8,
+      maxContent: 6,
     },
 
     // News simulation parameters
@@ -342,6 +487,52 @@
       perPage: 6,
       maxPage: 4,
     },
+
+    // Trip planner: form field → itinerary option mapping (see readFormFields) and slot layout
+    planner: {
+      fields: {
+        cityId: { name: "tripCity", type: "choice", label: "Base city", choices: () => getPlannerPlaces().map((c) => c.id), fallback: "erbil" },
+        startDate: { name: "tripStart", type: "date", label: "Start date", fallback: "" }, // empty: today in the city
+        days: { name: "tripDays", type: "integer", label: "Trip length", min: 1, max: 10, fallback: 3 },
+        pace: { name: "tripPace", type: "choice", label: "Pace", choices: ["slow", "balanced", "fast"], fallback: "balanced" },
+        interests: { name: "interest", type: "checks", label: "Interests", fallback: [] },
+        notes: { name: "tripNotes", type: "text", label: "Notes", maxLength: 600, fallback: "" },
+        // Road-trip stops after the base city, one row each; the base city keeps the remaining days
+        stops: { name: "stopCity", type: "choice", list: true, label: "Stops", choices: () => getPlannerPlaces().map((c) => c.id), fallback: [] },
+        stopNights: { name: "stopNights", type: "integer", list: true, label: "Nights per stop", min: 1, max: 9, fallback: [] },
+      },
+      paces: { slow: "Slow & Scenic", balanced: "Balanced", fast: "Fast & Intensive" },
+      slots: [
+        { id: "morning", label: "Morning", time: "09:00" },
+        { id: "afternoon", label: "Afternoon", time: "13:00" },
+        { id: "evening", label: "Evening", time: "18:00" },
+        { id: "food", label: "Food", time: "20:00" },
+      ],
+      calendarSlots: ["travel", "morning", "afternoon", "evening"], // slots that become .ics events
+      // Offline drive estimates between stops, see planRoadLegs()
+      road: {
+        winding: 1.4, // road km per straight-line km; mountain roads rarely run direct
+        speedKmh: 60, // average including towns and checkpoints
+        maxDriveMin: { slow: 180, balanced: 270, fast: 360 }, // longer legs get a warning
+        maxStops: 5,
+        slot: { id: "travel", label: "Travel", time: "08:00" }, // added before the morning of arrival days
+        // Stops for the planner only: they get no forecast, climate or search entries like APP.cities
+        towns: [
+          { id: "rawanduz", name: "Rawanduz (Rewandiz)", country: "Iraq", lat: 36.6117, lon: 44.5244 },
+          { id: "amedi", name: "Amedi (Amêdî)", country: "Iraq", lat: 37.0925, lon: 43.4878 },
+        ],
+      },
+      libraryMax: 30, // saved itineraries kept, newest first
+      shareParam: "plan", // shared links open the planner from #plan=…, see encodeItineraryShare()
+      // Download formats, see exportItinerary()
+      exportFormats: {
+        markdown: { ext: "md", mime: "text/markdown" },
+        html: { ext: "html", mime: "text/html" },
+        ics: { ext: "ics", mime: "text/calendar" },
+        text: { ext: "txt", mime: "text/plain" },
+        json: { ext: "json", mime: "application/json" },
+      },
+    },
   };
 
   const STATE = {
@@ -356,11 +547,19 @@
     activeSectionId: null,
 
     weather: {
-      units: "c", // 'c' or 'f'
+      unitPrefs: { temperature: "celsius", wind: "kmh", precipitation: "mm", pressure: "hPa" }, // see APP.weather.units
       cityId: null,
-      cache: {}, // keyed by `${cityId}_${units}`
+      cache: {}, // keyed by `${provider}_${cityId}_${units}` → { ts, used, data }
+      providers: {}, // name -> adapter, see registerWeatherProvider()
       isLoading: false,
       lastError: null,
+      request: null, // AbortController of the in-flight load
+      requestSeq: 0, // bumped per load; only the latest may render
+      compareRequest: null, // AbortController of the in-flight comparison batch
+      airRequest: null, // AbortController of the in-flight air-quality load
+      climateRequest: null, // AbortController of the in-flight climate load
+      compareSort: { key: "temp", dir: "desc" },
+      saved: [], // user places from geocoding: { id, name, region, country, lat, lon }
     },
 
     gallery: {
@@ -376,6 +575,19 @@
       page: 1,
       items: [],
     },
+
+    search: {
+      index: null, // created by ensureSearchIndex()
+      recent: [], // most recent first
+    },
+
+    planner: {
+      itinerary: null, // itinerary on screen, see buildItinerary()
+      activeId: null, // library entry it was opened from or saved as
+      library: [], // { id, name, createdAt, updatedAt, itinerary }, newest first
+      libraryPersisted: true, // false when storage is unavailable: the library lives for this session only
+      sharedPlaces: [], // base city and stops from the last opened share link that are not in this browser's city list
+    },
   };
 
   /* -----------------------------
@@ -415,17 +627,31 @@
       toggleClass(document.body, "is-light", theme === "light");
     }
 
-    // Weather units + last city
-    const units = localStorage.getItem(APP.storageKeys.weatherUnits);
-    if (units === "c" || units === "f") STATE.weather.units = units;
+    // Weather unit preferences (falls back to the legacy c/f setting)
+    const prefs = safeJsonParse(localStorage.getItem(APP.storageKeys.weatherUnitPrefs), null);
+    if (prefs && typeof prefs === "object") {
+      setWeatherUnitPrefs(prefs, { persist: false });
+    } else if (localStorage.getItem(APP.storageKeys.weatherUnits) === "f") {
+      setWeatherUnitPrefs(APP.weather.units.presets.imperial, { persist: false });
+    }
 
     const lastCity = localStorage.getItem(APP.storageKeys.lastCity);
     if (lastCity) STATE.weather.cityId = lastCity;
 
-    // Weather cache
+    // Saved weather places
+    const saved = safeJsonParse(localStorage.getItem(APP.storageKeys.savedCities), []);
+    if (Array.isArray(saved)) {
+      STATE.weather.saved = saved
+        .filter((p) => p && typeof p.id === "string" && typeof p.name === "string" && Number.isFinite(p.lat) && Number.isFinite(p.lon))
+        .slice(0, APP.weather.savedMax);
+    }
+
+    // Weather cache (versioned envelope; entries from an older schema are discarded)
     const cacheRaw = localStorage.getItem(APP.storageKeys.weatherCache);
-    const cache = safeJsonParse(cacheRaw, {});
-    if (cache && typeof cache === "object") STATE.weather.cache = cache;
+    const cache = safeJsonParse(cacheRaw, null);
+    if (cache && cache.v === APP.weather.cacheVersion && cache.entries && typeof cache.entries === "object") {
+      STATE.weather.cache = cache.entries;
+    }
 
     // Gallery compact
     const compactRaw = localStorage.getItem(APP.storageKeys.galleryCompact);
@@ -435,6 +661,19 @@
     const pageRaw = localStorage.getItem(APP.storageKeys.newsPage);
     const pageNum = Number(pageRaw);
     if (Number.isFinite(pageNum) && pageNum >= 1) STATE.news.page = Math.floor(pageNum);
+
+    // Recent searches
+    const recent = safeJsonParse(localStorage.getItem(APP.storageKeys.recentSearches), []);
+    if (Array.isArray(recent)) STATE.search.recent = recent.filter((q) => typeof q === "string" && q.trim()).slice(0, APP.search.recentMax);
+
+    // Saved itineraries
+    const library = safeJsonParse(localStorage.getItem(APP.storageKeys.plannerLibrary), []);
+    if (Array.isArray(library)) {
+      STATE.planner.library = library
+        .filter((e) => e && typeof e.id === "string" && typeof e.name === "string" && e.itinerary && Array.isArray(e.itinerary.days)
+          && e.itinerary.trip && typeof e.itinerary.trip.cityName === "string")
+        .slice(0, APP.planner.libraryMax);
+    }
   }
 
   function persistTheme() {
@@ -442,13 +681,112 @@
   }
 
   function persistWeatherSettings() {
-    localStorage.setItem(APP.storageKeys.weatherUnits, STATE.weather.units);
+    localStorage.setItem(APP.storageKeys.weatherUnitPrefs, JSON.stringify(STATE.weather.unitPrefs));
     if (STATE.weather.cityId) localStorage.setItem(APP.storageKeys.lastCity, STATE.weather.cityId);
   }
 
-  function persistWeatherCache() {
+  // Merges known per-measure choices into the preferences; unknown units are ignored
+  function setWeatherUnitPrefs(next, { persist = true } = {}) {
+    const measures = APP.weather.units.measures;
+    const prefs = { ...STATE.weather.unitPrefs };
+    Object.keys(measures).forEach((kind) => {
+      if (next && measures[kind][next[kind]]) prefs[kind] = next[kind];
+    });
+    STATE.weather.unitPrefs = prefs;
+    if (persist) {
+      persistWeatherSettings();
+      dispatch("kurdistan:weather:units", { units: { ...prefs } });
+    }
+    return prefs;
+  }
+
+  // Temperature, wind and precipitation are requested natively, so they key the forecast cache
+  function weatherUnitsKey(prefs = STATE.weather.unitPrefs) {
+    return `${prefs.temperature}-${prefs.wind}-${prefs.precipitation}`;
+  }
+
+  function convertMeasure(kind, value, from, to) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return null;
+    if (!from || !to || from === to) return value;
+    if (kind === "temperature") {
+      const c = from === "fahrenheit" ? ((value - 32) * 5) / 9 : value;
+      return to === "fahrenheit" ? (c * 9) / 5 + 32 : c;
+    }
+    const defs = APP.weather.units.measures[kind] || {};
+    if (!defs[from] || !defs[to]) return value;
+    return (value * defs[from].factor) / defs[to].factor;
+  }
+
+  // "31°C", "12 km/h", "0.04 in" — converted from the data's unit into the user's preference
+  function formatMeasure(kind, value, from, { to = STATE.weather.unitPrefs[kind], digits, unit = true } = {}) {
+    const v = convertMeasure(kind, value, from, to);
+    if (v === null) return "—";
+    const def = APP.weather.units.measures[kind][to] || {};
+    const text = formatNumber(v, digits ?? def.digits ?? 0);
+    if (!unit) return text;
+    return kind === "temperature" ? `${text}${def.label}` : `${text} ${def.label}`;
+  }
+
+  function persistSavedCities() {
+    try {
+      localStorage.setItem(APP.storageKeys.savedCities, JSON.stringify(STATE.weather.saved));
+    } catch {
+      // Ignore quota errors
+    }
+  }
+
+  // Falls back to keeping the library in memory when storage is full or blocked
+  function persistPlannerLibrary() {
+    try {
+      localStorage.setItem(APP.storageKeys.plannerLibrary, JSON.stringify(STATE.planner.library));
+      STATE.planner.libraryPersisted = true;
+    } catch {
+      STATE.planner.libraryPersisted = false;
+    }
+    return STATE.planner.libraryPersisted;
+  }
+
+  // Built-in cities first, then the user's saved places in their chosen order
+  function getWeatherCities() {
+    const builtIn = new Set(APP.cities.map((c) => c.id));
+    return APP.cities.concat(STATE.weather.saved.filter((p) => !builtIn.has(p.id)));
+  }
+
+  // Built-in places a trip can use: the weather cities and the road-trip towns
+  function getTripCities() {
+    return APP.cities.concat(APP.planner.road.towns);
+  }
+
+  // Places a trip can start from or stop at: the built-in ones, the user's saved places and any a
+  // shared link brought along
+  function getPlannerPlaces() {
+    return getTripCities().concat(getWeatherCities().slice(APP.cities.length), STATE.planner.sharedPlaces);
+  }
+
+  function pruneWeatherCache(keep = []) {
+    const cache = STATE.weather.cache;
+    const now = nowMs();
+    const keys = Object.keys(cache);
+
+    keys.forEach((key) => {
+      const entry = cache[key];
+      if (!entry || !entry.ts || now - entry.ts > Math.max(APP.weather.cacheMaxStaleMs, entry.ttl || 0)) delete cache[key];
+    });
+
+    const live = Object.keys(cache);
+    if (live.length <= APP.weather.cacheMaxEntries) return;
+    live
+      .filter((key) => !keep.includes(key))
+      .sort((a, b) => (cache[a].used || cache[a].ts) - (cache[b].used || cache[b].ts))
+      .slice(0, live.length - APP.weather.cacheMaxEntries)
+      .forEach((key) => delete cache[key]);
+  }
+
+  // `keep` lists keys just written that must survive this prune, whatever their LRU stamp
+  function persistWeatherCache(keep = []) {
+    pruneWeatherCache(keep);
     try {
-      localStorage.setItem(APP.storageKeys.weatherCache, JSON.stringify(STATE.weather.cache));
+      localStorage.setItem(APP.storageKeys.weatherCache, JSON.stringify({ v: APP.weather.cacheVersion, entries: STATE.weather.cache }));
     } catch {
       // Ignore quota errors
     }
@@ -462,6 +800,14 @@
     localStorage.setItem(APP.storageKeys.newsPage, String(STATE.news.page));
   }
 
+  function persistRecentSearches() {
+    try {
+      localStorage.setItem(APP.storageKeys.recentSearches, JSON.stringify(STATE.search.recent));
+    } catch {
+      // Ignore quota errors
+    }
+  }
+
   /* -----------------------------
      4) Header Offset (for scroll)
   ------------------------------ */
@@ -529,16 +875,19 @@
     const btn = $(APP.selectors.themeToggle);
     if (!btn) return;
 
-    btn.addEventListener("click", () => {
-      const isLight = document.body.classList.toggle("is-light");
-      btn.setAttribute("aria-pressed", isLight ? "true" : "false");
-      persistTheme();
-      dispatch("kurdistan:theme", { theme: isLight ? "light" : "dark" });
-    });
+    btn.addEventListener("click", toggleTheme);
 
     btn.setAttribute("aria-pressed", document.body.classList.contains("is-light") ? "true" : "false");
   }
 
+  function toggleTheme() {
+    const isLight = document.body.classList.toggle("is-light");
+    const btn = $(APP.selectors.themeToggle);
+    if (btn) btn.setAttribute("aria-pressed", isLight ? "true" : "false");
+    persistTheme();
+    dispatch("kurdistan:theme", { theme: isLight ? "light" : "dark" });
+  }
+
   /* -----------------------------
      6) Smooth Scrolling (enhanced)
   ------------------------------ */
@@ -772,7 +1121,7 @@
       const overlayTarget = t.getAttribute("data-overlay-target");
       if (openName || overlayTarget) {
         e.preventDefault();
-        const overlay = overlayTarget ? $(overlayTarget) : openName === "search" ? $(APP.selectors.searchOverlay) : openName === "weather" ? $(APP.selectors.weatherOverlay) : openName === "planner" ? $(APP.selectors.plannerOverlay) : null;
+        const overlay = overlayTarget ? $(overlayTarget) : openName === "search" ? $(APP.selectors.searchOverlay) : openName === "weather" ? $(APP.selectors.weatherOverlay) : openName === "planner" ? $(APP.selectors.plannerOverlay) : openName === "palette" ? $(APP.selectors.commandPalette) : null;
         if (overlay) openOverlay(overlay, { focusSelector: t.getAttribute("data-focus") || null });
         return;
       }
@@ -807,6 +1156,7 @@
     initPlannerOverlay();
     initGalleryModal();
     initArticleModal();
+    initCommandPalette();
   }
 
   function openOverlay(overlay, opts = {}) {
@@ -936,36 +1286,127 @@
     const chips = qsaIn(overlay, ".chip", "[data-chip]");
     chips.forEach((chip) => {
       chip.addEventListener("click", () => {
-        const q = chip.getAttribute("data-q") || chip.textContent || "";
+        // data-q may carry a structured query, e.g. `section:news category:food`
+        const q = chip.getAttribute("data-q") || chip.getAttribute("data-search") || chip.textContent || "";
         if (input) input.value = q.trim();
+        recordRecent(q);
         doSearch();
       });
     });
 
+    // Combobox pattern: focus stays in the input, aria-activedescendant points at the active option.
+    const listbox = results ? document.createElement("div") : null;
+    const recentHead = results ? document.createElement("div") : null;
+    const live = results ? document.createElement("p") : null;
+    if (results) {
+      results.removeAttribute("aria-live");
+
+      recentHead.className = "search__recent-head";
+      setHidden(recentHead, true);
+      recentHead.innerHTML = `
+        <span>Recent searches</span>
+        <button class="mini-cta mini-cta--ghost" type="button" data-search-recent-clear><i class="ri-delete-bin-6-line" aria-hidden="true"></i>Clear</button>
+      `;
+
+      listbox.id = `${overlay.id || "search"}Listbox`;
+      listbox.className = "search__listbox";
+      listbox.setAttribute("role", "listbox");
+      listbox.setAttribute("aria-label", "Search results");
+
+      live.className = "sr-only";
+      live.setAttribute("aria-live", "polite");
+
+      results.append(recentHead, listbox, live);
+    }
+    if (input) {
+      input.setAttribute("role", "combobox");
+      input.setAttribute("aria-autocomplete", "list");
+      input.setAttribute("aria-expanded", "false");
+      if (listbox) input.setAttribute("aria-controls", listbox.id);
+    }
+
+    let activeIndex = -1;
+    const getOptions = () => (listbox ? $$("[role='option']", listbox) : []);
+
+    // i < 0 clears the active option; callers wrap around themselves
+    const setActive = (i) => {
+      const options = getOptions();
+      activeIndex = i >= 0 && i < options.length ? i : -1;
+      options.forEach((opt, n) => {
+        const on = n === activeIndex;
+        opt.setAttribute("aria-selected", on ? "true" : "false");
+        toggleClass(opt, "is-active", on);
+        if (on) opt.scrollIntoView({ block: "nearest" });
+      });
+      if (!input) return;
+      if (activeIndex >= 0) input.setAttribute("aria-activedescendant", options[activeIndex].id);
+      else input.removeAttribute("aria-activedescendant");
+    };
+
+    const renderOptions = (html, announce) => {
+      if (listbox) setHTML(listbox, html);
+      setActive(-1);
+      if (input) input.setAttribute("aria-expanded", getOptions().length ? "true" : "false");
+      if (live) setText(live, announce);
+    };
+
+    const recordRecent = (query) => {
+      const q = String(query || "").trim();
+      if (!q) return;
+      STATE.search.recent = [q, ...STATE.search.recent.filter((x) => x.toLowerCase() !== q.toLowerCase())].slice(0, APP.search.recentMax);
+      persistRecentSearches();
+    };
+
+    const renderRecent = () => {
+      const recent = STATE.search.recent;
+      if (recentHead) setHidden(recentHead, !recent.length);
+
+      if (recent.length) {
+        if (empty) setHidden(empty, true);
+        renderOptions(
+          recent
+            .map(
+              (q, i) => `
+                <div class="search__option search__option--recent" role="option" id="${listbox.id}-recent-${i}" aria-selected="false" data-recent-q="${escapeHtml(q)}">
+                  <i class="ri-history-line" aria-hidden="true"></i><span>${escapeHtml(q)}</span>
+                </div>
+              `
+            )
+            .join(""),
+          `${recent.length} recent search${recent.length > 1 ? "es" : ""}.`
+        );
+        return;
+      }
+
+      renderOptions("", "");
+      if (empty) {
+        setHidden(empty, false);
+        setHTML(
+          empty,
+          `<div><i class="ri-search-line" aria-hidden="true"></i></div>
+           <div style="font-weight:700; letter-spacing:.02em;">Search the site</div>
+           <div class="muted">Try “Erbil”, “mountains”, “history”, “festival”, or “waterfall”.</div>`
+        );
+      }
+    };
+
     const doSearch = () => {
-      const query = (input ? input.value : "").trim().toLowerCase();
-      const index = buildSearchIndex();
-      const matched = query ? index.filter((item) => item.text.includes(query) || item.title.includes(query) || item.tags.some((t) => t.includes(query))) : [];
+      const query = (input ? input.value : "").trim();
+      const parsed = parseSearchQuery(query);
+      const matched = query ? index.search(parsed) : [];
 
       if (results) setHidden(results, false);
       if (empty) setHidden(empty, false);
 
       if (!query) {
-        if (results) setHTML(results, "");
-        if (empty) {
-          setHidden(empty, false);
-          setHTML(
-            empty,
-            `<div><i class="ri-search-line" aria-hidden="true"></i></div>
-             <div style="font-weight:700; letter-spacing:.02em;">Search the site</div>
-             <div class="muted">Try “Erbil”, “mountains”, “history”, “festival”, or “waterfall”.</div>`
-          );
-        }
+        renderRecent();
         return;
       }
 
+      if (recentHead) setHidden(recentHead, true);
+
       if (!matched.length) {
-        if (results) setHTML(results, "");
+        renderOptions("", "No results.");
         if (empty) {
           setHidden(empty, false);
           setHTML(
@@ -980,115 +1421,203 @@
 
       if (empty) setHidden(empty, true);
 
+      const qTokens = parsed.highlight;
+      const fieldLabels = { title: "title", desc: "description", tags: "tag" };
+
       const html = matched
-        .slice(0, 14)
-        .map((m) => {
-          const href = m.href || "#";
-          const title = escapeHtml(m.title);
-          const desc = escapeHtml(m.desc || "");
+        .map(({ doc: m, fields }, i) => {
+          const title = markSearchHits(m.title, findSearchHits(m.title, qTokens));
+          const desc = buildSearchSnippet(m.desc || "", qTokens);
+          const matchedIn = fields.length ? `Matched in ${fields.map((f) => fieldLabels[f]).join(" · ")}` : "Matched by filter";
           const badge = m.badge ? `<span class="meta-pill"><i class="ri-bookmark-3-line" aria-hidden="true"></i>${escapeHtml(m.badge)}</span>` : "";
+          const label = `${m.title} — ${m.badge ? `${m.badge}, ` : ""}${m.section || "Section"}`;
           return `
-            <article class="glass-card" style="padding:14px; margin-top:12px;">
+            <div class="glass-card search__option" role="option" id="${listbox ? listbox.id : "search"}-opt-${i}" aria-selected="false" aria-label="${escapeHtml(label)}" data-search-result="${escapeHtml(m.id)}" style="padding:14px; margin-top:12px;">
               <div style="display:flex; justify-content:space-between; gap:12px; flex-wrap:wrap; align-items:center;">
                 <div style="font-family:var(--display); font-weight:700; letter-spacing:.02em; font-size:15px;">${title}</div>
                 <div style="display:flex; gap:10px; flex-wrap:wrap; color:var(--muted); font-size:12px;">
                   ${badge}
                   <span class="meta-pill"><i class="ri-compass-3-line" aria-hidden="true"></i>${escapeHtml(m.section || "Section")}</span>
+                  <span class="meta-pill" title="Matched field"><i class="ri-focus-3-line" aria-hidden="true"></i>${escapeHtml(matchedIn)}</span>
                 </div>
               </div>
               <p style="margin:10px 0 0; color:var(--muted); font-size:13px;">${desc}</p>
-              <div style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap;">
-                <a class="mini-cta" href="${href}"><i class="ri-arrow-right-line" aria-hidden="true"></i>Open</a>
-                <button class="mini-cta mini-cta--ghost" type="button" data-close-overlay><i class="ri-close-line" aria-hidden="true"></i>Close</button>
-              </div>
-            </article>
+            </div>
           `;
         })
         .join("");
 
-      if (results) setHTML(results, html);
+      renderOptions(html, `${matched.length} result${matched.length > 1 ? "s" : ""}. Use up and down arrows to browse, Enter to open.`);
     };
 
-    const buildSearchIndex = () => {
-      // A lightweight, DOM-based index that adapts to your current HTML.
-      // We scan sections and cards for titles/text.
-      const items = [];
+    // Persistent index: built once here, then kept current per card by a MutationObserver.
+    const index = ensureSearchIndex();
+    const sections = [
+      ["about", "About"],
+      ["explore", "Explore"],
+      ["gallery", "Gallery"],
+      ["news", "News"],
+      ["contact", "Contact"],
+    ];
+    const cardSelector = ".glass-card, .feature-card, .about-card, .news-card, .destination, .gallery-card";
+    const cardDocs = new Map(); // card element -> { docId, sectionId }
+    let cardSeq = 0;
+
+    const indexSection = (id, name) => {
+      const sec = document.getElementById(id);
+      if (!sec) return;
+
+      const titleEl = qsIn(sec, ".section__title", "h2", "h3");
+      const subtitleEl = qsIn(sec, ".section__subtitle", "p");
+
+      index.add({
+        id: `section:${id}`,
+        title: titleEl ? titleEl.textContent : name,
+        desc: subtitleEl ? subtitleEl.textContent : "",
+        href: `#${id}`,
+        section: name,
+        badge: "Section",
+        tags: [id, name],
+        target: { type: "section", id },
+      });
 
-      const pushItem = (o) => {
-        const title = String(o.title || "").trim();
-        const desc = String(o.desc || "").trim();
-        if (!title && !desc) return;
-        items.push({
-          title,
-          desc,
-          text: `${title} ${desc}`.toLowerCase(),
-          href: o.href || "",
-          section: o.section || "",
-          badge: o.badge || "",
-          tags: (o.tags || []).map((t) => String(t).toLowerCase()),
+      // Cards inside: add new ones, re-index changed ones, drop the ones that left the DOM
+      const seen = new Set();
+      $$(cardSelector, sec).forEach((card) => {
+        const t = qsIn(card, ".destination__title", ".news-card__title", ".about-card__title", ".feature-card__title", ".gallery-card__title", "h3", "h4");
+        const d = qsIn(card, ".destination__desc", ".news-card__excerpt", ".about-card__text", ".feature-card__text", ".gallery-card__meta", "p");
+        const entry = cardDocs.get(card) || { docId: `card:${id}:${++cardSeq}`, sectionId: id };
+        cardDocs.set(card, entry);
+        seen.add(card);
+        index.add({
+          id: entry.docId,
+          title: t ? t.textContent : "",
+          desc: d ? d.textContent : "",
+          href: `#${id}`,
+          section: name,
+          badge: "Card",
+          tags: [id, name],
+          categories: [
+            card.getAttribute("data-category"),
+            card.getAttribute("data-news"),
+            qsIn(card, ".news-card__badge", ".gallery-card__tag") ? qsIn(card, ".news-card__badge", ".gallery-card__tag").textContent : "",
+          ],
+          target: { type: card.matches(".news-card") ? "article" : card.matches(".gallery-card") ? "gallery" : "destination", el: card },
         });
-      };
+      });
 
-      // Sections by ID
-      const scanSection = (id, name) => {
-        const sec = document.getElementById(id);
-        if (!sec) return;
+      cardDocs.forEach((entry, card) => {
+        if (entry.sectionId !== id || seen.has(card)) return;
+        index.remove(entry.docId);
+        cardDocs.delete(card);
+      });
+    };
 
-        const titleEl = qsIn(sec, ".section__title", "h2", "h3");
-        const subtitleEl = qsIn(sec, ".section__subtitle", "p");
+    sections.forEach(([id, name]) => indexSection(id, name));
+
+    // City direct links
+    APP.cities.forEach((c) => {
+      index.add({
+        id: `city:${c.id}`,
+        title: c.name,
+        desc: `Weather and travel cues for ${c.name}.`,
+        href: "#explore",
+        section: "Explore",
+        badge: "City",
+        tags: [c.id, c.name, ...(c.aliases || []), "weather", "city"],
+        categories: ["city"],
+        target: { type: "city", cityId: c.id },
+      });
+    });
 
-        pushItem({
-          title: titleEl ? titleEl.textContent : name,
-          desc: subtitleEl ? subtitleEl.textContent : "",
-          href: `#${id}`,
-          section: name,
-          badge: "Section",
-          tags: [id, name],
+    if ("MutationObserver" in window) {
+      const pending = new Set();
+      const flush = debounce(() => {
+        pending.forEach((id) => {
+          const entry = sections.find((s) => s[0] === id);
+          if (entry) indexSection(entry[0], entry[1]);
         });
+        pending.clear();
+        // Refresh visible results if the user is mid-search
+        if (!isHidden(overlay) && input && input.value.trim()) doSearch();
+      }, 160);
 
-        // Cards inside
-        $$(".glass-card, .feature-card, .about-card, .news-card, .destination, .gallery-card", sec).forEach((card) => {
-          const t = qsIn(card, ".destination__title", ".news-card__title", ".about-card__title", ".feature-card__title", ".gallery-card__title", "h3", "h4");
-          const d = qsIn(card, ".destination__desc", ".news-card__excerpt", ".about-card__text", ".feature-card__text", ".gallery-card__meta", "p");
-          const href = id ? `#${id}` : "#";
-          pushItem({
-            title: t ? t.textContent : "",
-            desc: d ? d.textContent : "",
-            href,
-            section: name,
-            badge: "Card",
-            tags: [id, name],
-          });
+      sections.forEach(([id]) => {
+        const sec = document.getElementById(id);
+        if (!sec) return;
+        const mo = new MutationObserver(() => {
+          pending.add(id);
+          flush();
         });
-      };
+        mo.observe(sec, { childList: true, subtree: true, characterData: true });
+      });
+    }
 
-      scanSection("about", "About");
-      scanSection("explore", "Explore");
-      scanSection("gallery", "Gallery");
-      scanSection("news", "News");
-      scanSection("contact", "Contact");
+    // Open a result option or re-run a recent search
+    const activate = (opt) => {
+      const recentQ = opt.getAttribute("data-recent-q");
+      if (recentQ !== null) {
+        if (input) input.value = recentQ;
+        recordRecent(recentQ);
+        doSearch();
+        if (input) input.focus({ preventScroll: true });
+        return;
+      }
+      const doc = index.get(opt.getAttribute("data-search-result"));
+      if (!doc) return;
+      recordRecent(input ? input.value : "");
+      closeOverlay(overlay);
+      openSearchTarget(doc);
+    };
 
-      // Add city direct links
-      APP.cities.forEach((c) => {
-        pushItem({
-          title: c.name,
-          desc: `Weather and travel cues for ${c.name}.`,
-          href: "#explore",
-          section: "Explore",
-          badge: "City",
-          tags: [c.id, c.name, "weather", "city"],
-        });
+    if (results) {
+      results.addEventListener("click", (e) => {
+        if (!(e.target instanceof Element)) return;
+        if (e.target.closest("[data-search-recent-clear]")) {
+          STATE.search.recent = [];
+          persistRecentSearches();
+          renderRecent();
+          if (input) input.focus({ preventScroll: true });
+          return;
+        }
+        // The whole option opens its result; options hold no controls of their own
+        const opt = e.target.closest("[role='option']");
+        if (!opt) return;
+        e.preventDefault();
+        e.stopPropagation();
+        activate(opt);
       });
+    }
 
-      return items;
+    const submit = () => {
+      recordRecent(input ? input.value : "");
+      doSearch();
     };
 
-    if (btn) btn.addEventListener("click", doSearch);
+    const form = input ? input.form : null;
+    if (form) {
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        submit();
+      });
+    } else if (btn) {
+      btn.addEventListener("click", submit);
+    }
+
     if (input) {
       input.addEventListener("keydown", (e) => {
-        if (e.key === "Enter") {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          const options = getOptions();
+          if (!options.length) return;
           e.preventDefault();
-          doSearch();
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          if (activeIndex < 0) setActive(step > 0 ? 0 : options.length - 1);
+          else setActive((activeIndex + step + options.length) % options.length);
+        } else if (e.key === "Enter") {
+          e.preventDefault();
+          const options = getOptions();
+          if (activeIndex >= 0 && options[activeIndex]) activate(options[activeIndex]);
+          else submit();
         }
       });
       input.addEventListener("input", debounce(doSearch, 220));
@@ -1101,10 +1630,359 @@
       if (id && e.detail.id !== id) return;
       if (input) {
         setTimeout(() => input.focus({ preventScroll: true }), 20);
+        if (!input.value.trim()) renderRecent();
       }
     });
   }
 
+  // Search matching: Kurmanji diacritics folded, Sorani/Arabic script transliterated, typos tolerated.
+  function normalizeSearchText(str) {
+    const table = APP.search.transliteration;
+    const folded = String(str ?? "")
+      .toLowerCase()
+      .replaceAll("ı", "i")
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "");
+    let out = "";
+    for (const ch of folded) out += Object.prototype.hasOwnProperty.call(table, ch) ? table[ch] : ch;
+    return out.replace(/[^a-z0-9]+/g, " ").trim();
+  }
+
+  function tokenizeSearchText(str) {
+    const norm = normalizeSearchText(str);
+    return norm ? norm.split(" ") : [];
+  }
+
+  // Optimal string alignment distance (Levenshtein + adjacent transpositions), capped at `max`.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prevPrev[j - 2] + 1);
+        cur.push(v);
+        rowMin = Math.min(rowMin, v);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // How well a single query token matches a token list: 1 exact, lower for prefix/substring/typo.
+  function matchSearchToken(q, tokens) {
+    const maxEdits = q.length <= 3 ? 0 : q.length <= 6 ? 1 : 2;
+    let best = 0;
+    for (const t of tokens) {
+      if (t === q) return 1;
+      if (q.length >= 2 && t.startsWith(q)) best = Math.max(best, 0.8);
+      else if (q.length >= 3 && t.includes(q)) best = Math.max(best, 0.6);
+      else if (maxEdits) {
+        const d = Math.min(editDistance(q, t, maxEdits), t.length > q.length ? editDistance(q, t.slice(0, q.length), maxEdits) : maxEdits + 1);
+        if (d <= maxEdits) best = Math.max(best, 0.55 - d * 0.1);
+      }
+    }
+    return best;
+  }
+
+  // Score an index item; score 0 means at least one query token matched nowhere.
+  // `fields` lists every field ("title" | "desc" | "tags") that some query token hit.
+  function scoreSearchItem(item, qTokens, qPhrase) {
+    const w = APP.search.fieldWeights;
+    const fields = new Set();
+    let score = 0;
+    for (const q of qTokens) {
+      let best = 0;
+      ["title", "tags", "desc"].forEach((f) => {
+        const v = matchSearchToken(q, item.norm[f]) * w[f];
+        if (v > 0) fields.add(f);
+        best = Math.max(best, v);
+      });
+      if (!best) return { score: 0, fields: [] };
+      score += best;
+    }
+    if (qTokens.length > 1 && item.norm.phrase.includes(qPhrase)) score += APP.search.phraseBonus;
+    return { score: score * (APP.search.badgeWeights[item.badge] || 1), fields: [...fields] };
+  }
+
+  // Character ranges of words in the original `text` that match any query token.
+  function findSearchHits(text, qTokens) {
+    const hits = [];
+    const re = /[\p{L}\p{N}]+/gu;
+    let m;
+    while ((m = re.exec(text))) {
+      const words = tokenizeSearchText(m[0]);
+      if (words.length && qTokens.some((q) => matchSearchToken(q, words) > 0)) hits.push([m.index, m.index + m[0].length]);
+    }
+    return hits;
+  }
+
+  // Escape text[from, to) and wrap hits in <mark>; escaping happens per segment so markup stays safe.
+  function markSearchHits(text, hits, from = 0, to = text.length) {
+    let out = "";
+    let pos = from;
+    hits
+      .filter(([a, b]) => a >= from && b <= to)
+      .forEach(([a, b]) => {
+        out += `${escapeHtml(text.slice(pos, a))}<mark>${escapeHtml(text.slice(a, b))}</mark>`;
+        pos = b;
+      });
+    return out + escapeHtml(text.slice(pos, to));
+  }
+
+  // A window of text around the first hit, snapped to word boundaries, with hits marked.
+  function buildSearchSnippet(text, qTokens, radius = 70) {
+    const src = String(text || "").replace(/\s+/g, " ").trim();
+    const hits = findSearchHits(src, qTokens);
+    const first = hits[0] || [0, 0];
+    let from = Math.max(0, first[0] - radius);
+    let to = Math.min(src.length, first[1] + radius * 2);
+    if (from > 0) {
+      const sp = src.indexOf(" ", from);
+      if (sp !== -1 && sp < first[0]) from = sp + 1;
+    }
+    if (to < src.length) {
+      const sp = src.lastIndexOf(" ", to);
+      if (sp > first[1]) to = sp;
+    }
+    return `${from > 0 ? "… " : ""}${markSearchHits(src, hits, from, to)}${to < src.length ? " …" : ""}`;
+  }
+
+  // Open a search document's typed target: article reader, gallery lightbox, weather city, or scroll + highlight.
+  function openSearchTarget(doc) {
+    const t = doc.target || { type: "section", id: (doc.href || "").replace("#", "") };
+
+    if (t.type === "article") {
+      const it = STATE.news.items.find((x) => x.el === t.el);
+      if (it && typeof window.__kurdistanOpenArticle === "function") {
+        window.__kurdistanOpenArticle({
+          title: it.title,
+          excerpt: it.excerpt,
+          category: it.category,
+          date: it.date,
+          location: it.location,
+          contentHtml: it.contentHtml,
+        });
+        return;
+      }
+    }
+
+    if (t.type === "gallery") {
+      const idx = STATE.gallery.items.indexOf(t.el);
+      if (idx >= 0 && typeof window.__kurdistanOpenGalleryModal === "function") {
+        window.__kurdistanOpenGalleryModal(idx);
+        return;
+      }
+    }
+
+    if (t.type === "city" && typeof window.__kurdistanWeatherOpen === "function") {
+      window.__kurdistanWeatherOpen(t.cityId);
+      return;
+    }
+
+    // Destinations (and any card whose richer target is unavailable): scroll to the card itself
+    if (t.el && document.contains(t.el)) {
+      smoothScrollTo(t.el, STATE.headerOffset);
+      const viewport = t.el.closest(APP.selectors.sliderViewport);
+      if (viewport) {
+        const vr = viewport.getBoundingClientRect();
+        const er = t.el.getBoundingClientRect();
+        const left = viewport.scrollLeft + (er.left - vr.left) - (vr.width - er.width) / 2;
+        viewport.scrollTo({ left: Math.max(0, left), behavior: isReducedMotion() ? "auto" : "smooth" });
+      }
+      if (t.el.hasAttribute("tabindex")) t.el.focus({ preventScroll: true });
+      removeClass(t.el, "is-search-hit");
+      void t.el.offsetWidth; // restart the animation on repeat hits
+      addClass(t.el, "is-search-hit");
+      setTimeout(() => removeClass(t.el, "is-search-hit"), 1800);
+      return;
+    }
+
+    const sec = document.getElementById(t.id || "");
+    if (sec) {
+      smoothScrollTo(sec, STATE.headerOffset);
+      history.pushState(null, "", `#${encodeURIComponent(sec.id)}`);
+    }
+  }
+
+  // Structured query: `section:news category:food "old bazaar" erbil -museum`.
+  // Unknown `foo:bar` prefixes are kept as plain text so times like "10:30" still search.
+  function parseSearchQuery(input) {
+    const known = APP.search.queryFields;
+    const q = { terms: [], phrases: [], filters: [], excludes: [] };
+    const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let m;
+    while ((m = re.exec(String(input || "")))) {
+      const [, neg, rawField, quoted, bare] = m;
+      const value = quoted ?? bare ?? "";
+      const field = rawField ? known[rawField.toLowerCase()] : null;
+
+      if (field) {
+        const tokens = tokenizeSearchText(value);
+        if (tokens.length) q.filters.push({ field, tokens, negate: !!neg });
+        continue;
+      }
+
+      const text = rawField ? `${rawField} ${value}` : value;
+      const norm = normalizeSearchText(text);
+      if (!norm) continue;
+      if (neg) q.excludes.push({ phrase: quoted != null, tokens: norm.split(" "), norm });
+      else if (quoted != null) q.phrases.push(norm);
+      else q.terms.push(text);
+    }
+
+    // Ranking uses free-text terms; highlighting also marks the words of quoted phrases
+    q.tokens = tokenizeSearchText(q.terms.join(" "));
+    q.highlight = [...q.tokens, ...q.phrases.flatMap((p) => p.split(" "))];
+    // An exclusion alone still narrows something: `-museum` is every document without "museum"
+    q.isEmpty = !q.tokens.length && !q.phrases.length && !q.filters.length && !q.excludes.length;
+    return q;
+  }
+
+  // Filters, phrases and exclusions are hard constraints (no fuzzy matching).
+  function matchesSearchConstraints(doc, q) {
+    const hasAll = (fieldTokens, tokens) => tokens.every((v) => fieldTokens.some((t) => t === v || t.startsWith(v)));
+
+    for (const f of q.filters) {
+      const toks = f.field === "tag" ? doc.norm.tags : doc.norm[f.field];
+      if (hasAll(toks, f.tokens) === f.negate) return false;
+    }
+    for (const p of q.phrases) {
+      if (!doc.norm.text.includes(` ${p} `)) return false;
+    }
+    for (const x of q.excludes) {
+      const hit = x.phrase ? doc.norm.text.includes(` ${x.norm} `) : hasAll([...doc.norm.title, ...doc.norm.desc, ...doc.norm.tags], x.tokens);
+      if (hit) return false;
+    }
+    return true;
+  }
+
+  // Inverted token index over search documents. Lookups scan the vocabulary (not every doc)
+  // so prefix/typo matching stays cheap as destinations are added.
+  function createSearchIndex() {
+    const docs = new Map(); // id -> doc
+    const postings = new Map(); // token -> Set(doc id)
+    let seq = 0;
+
+    const termsOf = (doc) => new Set([...doc.norm.title, ...doc.norm.desc, ...doc.norm.tags]);
+
+    const link = (doc) => {
+      termsOf(doc).forEach((t) => {
+        if (!postings.has(t)) postings.set(t, new Set());
+        postings.get(t).add(doc.id);
+      });
+    };
+
+    const unlink = (doc) => {
+      termsOf(doc).forEach((t) => {
+        const ids = postings.get(t);
+        if (!ids) return;
+        ids.delete(doc.id);
+        if (!ids.size) postings.delete(t);
+      });
+    };
+
+    return {
+      add(o) {
+        const title = String(o.title || "").trim();
+        const desc = String(o.desc || "").trim();
+        if (!title && !desc) return null;
+        const id = String(o.id || `doc:${seq + 1}`);
+        const tags = (o.tags || []).map((t) => String(t).toLowerCase());
+        const categories = (o.categories || []).filter(Boolean).map((t) => String(t).trim().toLowerCase());
+        const sig = `${title}\n${desc}\n${tags.join("|")}\n${categories.join("|")}\n${o.href || ""}\n${o.badge || ""}\n${o.target ? o.target.type : ""}`;
+
+        const prev = docs.get(id);
+        if (prev && prev.sig === sig) return id;
+        if (prev) unlink(prev);
+
+        const doc = {
+          id,
+          sig,
+          order: prev ? prev.order : seq++,
+          title,
+          desc,
+          href: o.href || "",
+          section: o.section || "",
+          badge: o.badge || "",
+          tags,
+          categories,
+          // Typed deep-link: { type: "article"|"gallery"|"destination"|"city"|"section", ... }
+          target: o.target || null,
+          // Pre-normalized tokens for ranking (diacritics folded, Sorani/Arabic transliterated)
+          norm: {
+            title: tokenizeSearchText(title),
+            desc: tokenizeSearchText(desc),
+            tags: tokenizeSearchText([...tags, ...categories].join(" ")),
+            phrase: normalizeSearchText(title),
+            text: ` ${normalizeSearchText(`${title} ${desc} ${tags.join(" ")}`)} `,
+            // Values for `field:value` filters
+            section: tokenizeSearchText(o.section || ""),
+            type: tokenizeSearchText(`${o.badge || ""} ${o.target ? o.target.type : ""}`),
+            category: tokenizeSearchText(categories.join(" ")),
+          },
+        };
+        docs.set(id, doc);
+        link(doc);
+        return id;
+      },
+      remove(id) {
+        const doc = docs.get(String(id));
+        if (!doc) return false;
+        unlink(doc);
+        docs.delete(doc.id);
+        return true;
+      },
+      get(id) {
+        return docs.get(String(id)) || null;
+      },
+      get size() {
+        return docs.size;
+      },
+      // query: string or parseSearchQuery() result → [{ doc, score, fields }], best first
+      search(query) {
+        const q = typeof query === "string" ? parseSearchQuery(query) : query;
+        if (q.isEmpty) return [];
+        const qTokens = q.tokens;
+        const qPhrase = qTokens.join(" ");
+
+        // Every free-text token must hit at least one term of a candidate; filter- or exclusion-only queries start from all docs
+        let candidates = qTokens.length ? null : new Set(docs.keys());
+        for (const t of qTokens) {
+          const ids = new Set();
+          postings.forEach((set, term) => {
+            if (matchSearchToken(t, [term]) > 0) set.forEach((id) => ids.add(id));
+          });
+          candidates = candidates ? new Set([...candidates].filter((id) => ids.has(id))) : ids;
+          if (!candidates.size) return [];
+        }
+
+        return [...candidates]
+          .map((id) => docs.get(id))
+          .filter((doc) => matchesSearchConstraints(doc, q))
+          .map((doc) => {
+            if (qTokens.length) return { doc, ...scoreSearchItem(doc, qTokens, qPhrase) };
+            // Phrase/filter/exclusion-only queries keep document order
+            const fields = ["title", "desc"].filter((f) => q.phrases.some((p) => ` ${normalizeSearchText(doc[f])} `.includes(` ${p} `)));
+            return { doc, score: 1, fields };
+          })
+          .filter((r) => r.score > 0)
+          .sort((a, b) => b.score - a.score || a.doc.order - b.doc.order);
+      },
+    };
+  }
+
+  function ensureSearchIndex() {
+    if (!STATE.search.index) STATE.search.index = createSearchIndex();
+    return STATE.search.index;
+  }
+
   /* -----------------------------
      10b) Weather Overlay (Open-Meteo)
   ------------------------------ */
@@ -1116,44 +1994,94 @@
     const citySelect = qsIn(overlay, "select[data-weather-city]", "select#weatherCity", "select");
     const unitsWrap = qsIn(overlay, ".segmented", "[data-units]");
     const unitInputs = unitsWrap ? $$("input[type='radio']", unitsWrap) : [];
+    const unitPrefSelects = $$("select[data-unit-pref]", overlay);
 
     const refreshBtn = qsIn(overlay, "[data-weather-refresh]", "#weatherRefresh", "button[data-refresh]");
     const statusEl = qsIn(overlay, ".weather__note", "[data-weather-note]", "[data-status]");
     const grid = qsIn(overlay, ".weather__grid", "[data-weather-grid]");
     const cardNow = qsIn(overlay, "[data-weather-now]", ".weather-card--now", ".weather-card");
     const cardForecast = qsIn(overlay, "[data-weather-forecast]", ".weather-card--forecast");
-
-    // If select exists, populate options (id/name)
-    if (citySelect) {
-      const existing = $$("option", citySelect);
-      const hasRealOptions = existing.some((o) => (o.value || "").trim().length > 0);
-      if (!hasRealOptions) {
-        const frag = document.createDocumentFragment();
-        APP.cities.forEach((c) => {
-          const opt = document.createElement("option");
-          opt.value = c.id;
-          opt.textContent = c.name;
-          frag.appendChild(opt);
-        });
-        citySelect.appendChild(frag);
+    const cardDaily = qsIn(overlay, "[data-weather-daily]", ".weather-card--daily");
+    const cardCompare = qsIn(overlay, "[data-weather-compare]", ".weather-card--compare");
+    const cardAir = qsIn(overlay, "[data-weather-air]", ".weather-card--air");
+    const cardClimate = qsIn(overlay, "[data-weather-climate]", ".weather-card--climate");
+    const cardSun = qsIn(overlay, "[data-weather-sun]", ".weather-card--sun");
+    const sunDateInput = qsIn(overlay, "[data-weather-sun-date]");
+
+    // Places UI (search + saved list)
+    const placeForm = qsIn(overlay, "[data-weather-place-form]");
+    const placeInput = placeForm ? qsIn(placeForm, "input") : null;
+    const placeResults = qsIn(overlay, "[data-weather-place-results]");
+    const savedList = qsIn(overlay, "[data-weather-saved]");
+
+    // The select always mirrors getWeatherCities(): built-ins, then saved places in their own group
+    const renderCityOptions = () => {
+      if (!citySelect) return;
+      const frag = document.createDocumentFragment();
+      const addOption = (parent, c) => {
+        const opt = document.createElement("option");
+        opt.value = c.id;
+        opt.textContent = c.name;
+        parent.appendChild(opt);
+      };
+      APP.cities.forEach((c) => addOption(frag, c));
+
+      const extra = getWeatherCities().slice(APP.cities.length);
+      if (extra.length) {
+        const group = document.createElement("optgroup");
+        group.label = "Saved places";
+        extra.forEach((c) => addOption(group, c));
+        frag.appendChild(group);
       }
-    }
 
-    // Set initial selection
-    if (!STATE.weather.cityId) STATE.weather.cityId = (APP.cities[0] && APP.cities[0].id) || "erbil";
-    if (citySelect) citySelect.value = STATE.weather.cityId;
+      citySelect.innerHTML = "";
+      citySelect.appendChild(frag);
+      citySelect.value = STATE.weather.cityId;
+    };
+
+    // Set initial selection (a removed saved place falls back to the first city)
+    if (!getWeatherCities().some((c) => c.id === STATE.weather.cityId)) {
+      STATE.weather.cityId = (APP.cities[0] && APP.cities[0].id) || "erbil";
+    }
+    renderCityOptions();
+
+    // Set unit UI: the metric/imperial radios are presets (c/f accepted too); the per-measure
+    // selects refine them. A mixed choice leaves neither preset checked.
+    const presetOf = (inp) => (inp.value === "f" || inp.value === "imperial" ? "imperial" : "metric");
+    const syncUnitControls = () => {
+      const prefs = STATE.weather.unitPrefs;
+      unitInputs.forEach((inp) => {
+        const preset = APP.weather.units.presets[presetOf(inp)];
+        inp.checked = Object.keys(preset).every((kind) => prefs[kind] === preset[kind]);
+      });
+      unitPrefSelects.forEach((sel) => {
+        sel.value = prefs[sel.getAttribute("data-unit-pref")];
+      });
+    };
+    const applyUnitPrefs = (next) => {
+      const prefs = setWeatherUnitPrefs(next);
+      syncUnitControls();
+      if (!isHidden(overlay)) {
+        renderWeatherFromCacheOrFetch();
+        renderComparison();
+      }
+      return prefs;
+    };
 
-    // Set unit UI
+    unitPrefSelects.forEach((sel) => {
+      const kind = sel.getAttribute("data-unit-pref");
+      const defs = APP.weather.units.measures[kind] || {};
+      sel.innerHTML = Object.keys(defs)
+        .map((id) => `<option value="${escapeHtml(id)}">${escapeHtml(defs[id].name)}</option>`)
+        .join("");
+      sel.addEventListener("change", () => applyUnitPrefs({ [kind]: sel.value }));
+    });
     unitInputs.forEach((inp) => {
-      const v = inp.value === "f" ? "f" : "c";
-      inp.checked = STATE.weather.units === v;
       inp.addEventListener("change", () => {
-        if (!inp.checked) return;
-        STATE.weather.units = v;
-        persistWeatherSettings();
-        renderWeatherFromCacheOrFetch();
+        if (inp.checked) applyUnitPrefs(APP.weather.units.presets[presetOf(inp)]);
       });
     });
+    syncUnitControls();
 
     if (citySelect) {
       citySelect.addEventListener("change", () => {
@@ -1166,6 +2094,7 @@
     if (refreshBtn) {
       refreshBtn.addEventListener("click", () => {
         renderWeatherFromCacheOrFetch({ force: true });
+        renderComparison({ force: true });
       });
     }
 
@@ -1183,7 +2112,7 @@
       const title = qsIn(header, ".weather-card__title") || (() => {
         const t = document.createElement("h3");
         t.className = "weather-card__title";
-        t.textContent = kind === "now" ? "Current Conditions" : "Mini Forecast";
+        t.textContent = { now: "Current Conditions", daily: "7-Day Outlook", compare: "Compare Cities", air: "Air Quality", climate: "Best Time to Visit" }[kind] || "Mini Forecast";
         header.prepend(t);
         return t;
       })();
@@ -1207,7 +2136,7 @@
       const footer = qsIn(card, ".weather-card__footer") || (() => {
         const f = document.createElement("div");
         f.className = "weather-card__footer";
-        f.textContent = "Powered by Open-Meteo • No API key required";
+        f.textContent = getWeatherProvider().attribution;
         card.appendChild(f);
         return f;
       })();
@@ -1217,6 +2146,11 @@
 
     const nowParts = ensureWeatherCardStructure(cardNow, "now");
     const fcParts = ensureWeatherCardStructure(cardForecast, "forecast");
+    const dailyParts = ensureWeatherCardStructure(cardDaily, "daily");
+    const compareParts = ensureWeatherCardStructure(cardCompare, "compare");
+    const airParts = ensureWeatherCardStructure(cardAir, "air");
+    const climateParts = ensureWeatherCardStructure(cardClimate, "climate");
+    const sunParts = ensureWeatherCardStructure(cardSun, "sun");
 
     const renderSkeleton = () => {
       if (statusEl) statusEl.textContent = "Fetching live weather for Kurdish cities…";
@@ -1247,10 +2181,20 @@
           </div>
         `;
       }
-    };
-
-    const codeToIcon = (code) => {
-      // Open-Meteo weather code mapping (simplified)
+      if (dailyParts) {
+        dailyParts.body.innerHTML = `
+          <div class="forecast__placeholder">
+            <div class="skeleton line"></div>
+            <div class="skeleton line"></div>
+            <div class="skeleton line"></div>
+            <div class="skeleton line short"></div>
+          </div>
+        `;
+      }
+    };
+
+    const codeToIcon = (code) => {
+      // Open-Meteo weather code mapping (simplified)
       const c = Number(code);
       if (!Number.isFinite(c)) return { icon: "ri-question-line", label: "Unknown" };
 
@@ -1282,44 +2226,326 @@
       return { icon: "ri-cloud-windy-line", label: "Variable" };
     };
 
-    const toF = (c) => (c * 9) / 5 + 32;
+    // Provider name leads the key so fixture data never masquerades as live data; the units are
+    // the ones the forecast was requested in
+    const buildKey = (cityId = STATE.weather.cityId) => `${getWeatherProvider().name}_${cityId}_${weatherUnitsKey()}`;
 
-    const buildKey = () => `${STATE.weather.cityId}_${STATE.weather.units}`;
+    const getCity = (id) => getWeatherCities().find((c) => c.id === id) || APP.cities[0];
 
-    const getCity = (id) => APP.cities.find((c) => c.id === id) || APP.cities[0];
+    // Returns { data, ts, stale } for anything younger than cacheMaxStaleMs, touching it for LRU
+    const isForecastModel = (data) => Array.isArray(data.daily);
+    const isAirQualityModel = (data) => data.kind === "air-quality";
+    const isClimateModel = (data) => data.kind === "climate" && Array.isArray(data.months);
 
-    const fromCache = () => {
-      const key = buildKey();
+    const fromCache = (key = buildKey(), isValid = isForecastModel) => {
+      const hit = peekCache(key, isValid);
+      if (hit) STATE.weather.cache[key].used = nowMs();
+      return hit;
+    };
+
+    // Same lookup without touching the LRU order, for overviews that read every city at once
+    const peekCache = (key = buildKey(), isValid = isForecastModel) => {
       const entry = STATE.weather.cache[key];
-      if (!entry) return null;
-      if (!entry.ts || nowMs() - entry.ts > APP.weather.cacheTtlMs) return null;
-      return entry.data || null;
+      if (!entry || !entry.ts) return null;
+      const age = nowMs() - entry.ts;
+      // Long-lived entries (climate) carry their own ttl
+      if (age > Math.max(APP.weather.cacheMaxStaleMs, entry.ttl || 0)) return null;
+      // Only normalized models (see normalizeOpenMeteo) are usable; raw provider payloads are a miss
+      if (!entry.data || !isValid(entry.data)) return null;
+      return { data: entry.data, ts: entry.ts, stale: age > (entry.ttl || APP.weather.cacheTtlMs) };
     };
 
-    const cacheSet = (data) => {
-      const key = buildKey();
-      STATE.weather.cache[key] = { ts: nowMs(), data };
+    const formatAge = (ts) => {
+      const mins = Math.max(0, Math.round((nowMs() - ts) / 60000));
+      if (mins < 1) return "just now";
+      if (mins < 60) return `${mins} min ago`;
+      const hours = Math.round(mins / 60);
+      return `${hours} hr${hours === 1 ? "" : "s"} ago`;
+    };
+
+    // Daily dates are local "YYYY-MM-DD"; avoid Date() reading them as UTC midnight
+    const parseLocalDate = (str) => {
+      const [y, m, d] = String(str || "").split("-").map(Number);
+      return y && m && d ? new Date(y, m - 1, d) : null;
+    };
+
+    const cacheSet = (data, key = buildKey(), ttl) => {
+      STATE.weather.cache[key] = ttl ? { ts: nowMs(), used: nowMs(), ttl, data } : { ts: nowMs(), used: nowMs(), data };
       persistWeatherCache();
     };
 
+    // Hourly chart: one SVG built as a string like the other cards. `chartHours` keeps the
+    // display-unit values so the tooltip, keyboard stepping and table all read the same data.
+    const chart = { width: 720, height: 232, left: 40, right: 12, top: 18, plot: 132 };
+    let chartHours = [];
+    let chartActive = -1;
+
+    const renderHourlyChart = (hourly, from = APP.weather.units.presets.metric) => {
+      const prefs = STATE.weather.unitPrefs;
+      const { width, left, right, top, plot } = chart;
+      const n = hourly.length;
+      const step = (width - left - right) / n;
+      const usePrecip = hourly.some((h) => typeof h.precipProbability === "number");
+
+      chartHours = hourly.map((h, i) => {
+        const { label } = codeToIcon(h.weatherCode);
+        const num = (v) => (typeof v === "number" ? v : null);
+        const conv = (kind, v) => convertMeasure(kind, v, from[kind], prefs[kind]);
+        return {
+          x: left + step * (i + 0.5),
+          time: h.time,
+          label,
+          temp: conv("temperature", h.temperature),
+          bar: usePrecip ? num(h.precipProbability) : num(h.humidity),
+          humidity: num(h.humidity),
+          precipProbability: num(h.precipProbability),
+          precip: conv("precipitation", h.precipitation),
+          wind: conv("wind", h.windSpeed),
+          windDir: num(h.windDirection),
+        };
+      });
+
+      const temps = chartHours.map((h) => h.temp).filter((t) => t !== null);
+      const lo = temps.length ? Math.floor(Math.min(...temps) - 1) : 0;
+      const hi = temps.length ? Math.ceil(Math.max(...temps) + 1) : 1;
+      const yTemp = (t) => top + (1 - (t - lo) / Math.max(1, hi - lo)) * plot;
+      const base = top + plot;
+
+      chartHours.forEach((h) => {
+        h.y = h.temp === null ? null : yTemp(h.temp);
+      });
+
+      const grid = [lo, (lo + hi) / 2, hi]
+        .map((t) => `
+          <line class="hourly-chart__grid" x1="${left}" x2="${width - right}" y1="${yTemp(t).toFixed(1)}" y2="${yTemp(t).toFixed(1)}"></line>
+          <text class="hourly-chart__axis" x="${left - 8}" y="${(yTemp(t) + 4).toFixed(1)}" text-anchor="end">${formatNumber(t, 0)}°</text>
+        `)
+        .join("");
+
+      const bars = chartHours
+        .map((h) => {
+          if (h.bar === null || h.bar <= 0) return "";
+          const hgt = (h.bar / 100) * plot;
+          return `<rect class="hourly-chart__bar" x="${(h.x - step * 0.3).toFixed(1)}" y="${(base - hgt).toFixed(1)}" width="${(step * 0.6).toFixed(1)}" height="${hgt.toFixed(1)}" rx="3"></rect>`;
+        })
+        .join("");
+
+      const line = chartHours
+        .filter((h) => h.y !== null)
+        .map((h, i) => `${i ? "L" : "M"}${h.x.toFixed(1)},${h.y.toFixed(1)}`)
+        .join(" ");
+
+      const dots = chartHours
+        .map((h, i) => (h.y === null ? "" : `<circle class="hourly-chart__dot" data-hour="${i}" cx="${h.x.toFixed(1)}" cy="${h.y.toFixed(1)}" r="3"></circle>`))
+        .join("");
+
+      // Arrows point downwind (direction + 180°); meteorological direction is where wind comes from
+      const arrows = chartHours
+        .map((h) => {
+          const y = base + 20;
+          if (h.windDir === null) return `<circle class="hourly-chart__calm" cx="${h.x.toFixed(1)}" cy="${y}" r="2"></circle>`;
+          return `<path class="hourly-chart__arrow" d="M0,-6 L4,4 L0,2 L-4,4 Z" transform="translate(${h.x.toFixed(1)} ${y}) rotate(${(h.windDir + 180) % 360})"></path>`;
+        })
+        .join("");
+
+      const ticks = chartHours
+        .map((h, i) => (i % 3 ? "" : `<text class="hourly-chart__axis" x="${h.x.toFixed(1)}" y="${base + 46}" text-anchor="middle">${escapeHtml(formatTimeShort(h.time))}</text>`))
+        .join("");
+
+      const hits = chartHours
+        .map((h, i) => `<rect class="hourly-chart__hit" data-hour="${i}" x="${(h.x - step / 2).toFixed(1)}" y="0" width="${step.toFixed(1)}" height="${chart.height}"></rect>`)
+        .join("");
+
+      // chartHours already hold display units, so format without converting again
+      const show = (kind, v) => formatMeasure(kind, v, prefs[kind]);
+      const fmt = (v, digits, suffix) => (v === null ? "—" : `${formatNumber(v, digits)}${suffix}`);
+      const tableRows = chartHours
+        .map((h) => `
+          <tr>
+            <th scope="row">${escapeHtml(formatTimeShort(h.time))}</th>
+            <td>${escapeHtml(h.label)}</td>
+            <td>${show("temperature", h.temp)}</td>
+            <td>${fmt(h.precipProbability, 0, "%")} (${show("precipitation", h.precip)})</td>
+            <td>${fmt(h.humidity, 0, "%")}</td>
+            <td>${show("wind", h.wind)}${h.windDir === null ? "" : ` from ${formatNumber(h.windDir, 0)}°`}</td>
+          </tr>
+        `)
+        .join("");
+
+      chartActive = -1;
+      return `
+        <div class="hourly-chart">
+          <svg class="hourly-chart__svg" viewBox="0 0 ${width} ${chart.height}" tabindex="0" role="img"
+            aria-label="Hourly temperature chart. Use the left and right arrow keys to step through the hours.">
+            ${grid}
+            <g aria-hidden="true">${bars}</g>
+            <path class="hourly-chart__line" d="${line}" aria-hidden="true"></path>
+            <g aria-hidden="true">${dots}${arrows}${ticks}</g>
+            <line class="hourly-chart__cursor" x1="0" x2="0" y1="${top}" y2="${base}" hidden></line>
+            <g aria-hidden="true">${hits}</g>
+          </svg>
+          <div class="hourly-chart__tip" role="status" aria-live="polite" hidden></div>
+          <p class="hourly-chart__legend muted">
+            <span><i class="hourly-chart__key hourly-chart__key--line" aria-hidden="true"></i> Temperature</span>
+            <span><i class="hourly-chart__key hourly-chart__key--bar" aria-hidden="true"></i> ${usePrecip ? "Chance of precipitation" : "Humidity"}</span>
+            <span><i class="ri-navigation-line" aria-hidden="true"></i> Wind direction</span>
+          </p>
+          <table class="sr-only">
+            <caption>Hourly forecast</caption>
+            <thead><tr><th scope="col">Time</th><th scope="col">Conditions</th><th scope="col">Temperature</th><th scope="col">Precipitation</th><th scope="col">Humidity</th><th scope="col">Wind</th></tr></thead>
+            <tbody>${tableRows}</tbody>
+          </table>
+        </div>
+      `;
+    };
+
+    const showChartHour = (i) => {
+      const root = fcParts ? qsIn(fcParts.body, ".hourly-chart") : null;
+      if (!root || !chartHours.length) return;
+      const tip = qsIn(root, ".hourly-chart__tip");
+      const cursor = qsIn(root, ".hourly-chart__cursor");
+      $$(".hourly-chart__dot.is-active", root).forEach((d) => d.classList.remove("is-active"));
+
+      if (i < 0) {
+        chartActive = -1;
+        if (tip) tip.hidden = true;
+        if (cursor) cursor.setAttribute("hidden", "");
+        return;
+      }
+
+      chartActive = clamp(i, 0, chartHours.length - 1);
+      const h = chartHours[chartActive];
+      const prefs = STATE.weather.unitPrefs;
+      const dot = qsIn(root, `.hourly-chart__dot[data-hour="${chartActive}"]`);
+      if (dot) dot.classList.add("is-active");
+      if (cursor) {
+        cursor.setAttribute("x1", h.x.toFixed(1));
+        cursor.setAttribute("x2", h.x.toFixed(1));
+        cursor.removeAttribute("hidden");
+      }
+      if (tip) {
+        const parts = [
+          `<strong>${escapeHtml(formatTimeShort(h.time))}</strong> ${escapeHtml(h.label)}`,
+          h.temp === null ? "" : formatMeasure("temperature", h.temp, prefs.temperature),
+          h.precipProbability === null ? "" : `<i class="ri-umbrella-line" aria-hidden="true"></i> ${formatNumber(h.precipProbability, 0)}%`,
+          h.humidity === null ? "" : `<i class="ri-drop-line" aria-hidden="true"></i> ${formatNumber(h.humidity, 0)}%`,
+          h.wind === null ? "" : `<i class="ri-windy-line" aria-hidden="true"></i> ${formatMeasure("wind", h.wind, prefs.wind)}`,
+        ];
+        tip.innerHTML = parts.filter(Boolean).join(" • ");
+        // Keep the centred tooltip inside the card near either edge
+        tip.style.left = `${clamp((h.x / chart.width) * 100, 15, 85)}%`;
+        tip.hidden = false;
+      }
+    };
+
+    if (fcParts) {
+      fcParts.body.addEventListener("pointermove", (e) => {
+        const hit = e.target.closest ? e.target.closest("[data-hour]") : null;
+        if (hit) showChartHour(Number(hit.getAttribute("data-hour")));
+      });
+      fcParts.body.addEventListener("pointerleave", () => {
+        const svg = qsIn(fcParts.body, ".hourly-chart__svg");
+        if (svg !== document.activeElement) showChartHour(-1);
+      });
+      fcParts.body.addEventListener("focusin", (e) => {
+        if (e.target.classList && e.target.classList.contains("hourly-chart__svg") && chartActive < 0) showChartHour(0);
+      });
+      fcParts.body.addEventListener("focusout", () => showChartHour(-1));
+      fcParts.body.addEventListener("keydown", (e) => {
+        if (!e.target.classList || !e.target.classList.contains("hourly-chart__svg")) return;
+        const keys = { ArrowRight: chartActive + 1, ArrowLeft: chartActive - 1, Home: 0, End: chartHours.length - 1 };
+        if (!(e.key in keys)) {
+          if (e.key === "Escape") showChartHour(-1);
+          return;
+        }
+        e.preventDefault();
+        showChartHour(keys[e.key]);
+      });
+    }
+
+    // Hazard alerts: banners above the cards + a site-wide event (the header badge listens to it)
+    const alertsEl = qsIn(overlay, "[data-weather-alerts]") || (() => {
+      if (!grid) return null;
+      const el = document.createElement("div");
+      el.className = "weather-alerts";
+      el.setAttribute("data-weather-alerts", "");
+      el.setAttribute("aria-live", "polite");
+      grid.before(el);
+      return el;
+    })();
+
+    const updateAlerts = (data) => {
+      const alerts = evaluateWeatherAlerts(data);
+      const city = getCity(STATE.weather.cityId);
+      const metric = APP.weather.units.presets.metric;
+
+      if (alertsEl) {
+        alertsEl.innerHTML = alerts
+          .map((a) => {
+            // Alert values are metric (see evaluateWeatherAlerts)
+            const value = typeof a.value === "number" && metric[a.unit] ? formatMeasure(a.unit, a.value, metric[a.unit]) : "";
+            // Daily points carry a bare date; hourly/current ones a date-time
+            const when = a.time ? (String(a.time).includes("T") ? `${formatDateShort(a.time)} ${formatTimeShort(a.time)}` : formatDateShort(parseLocalDate(a.time))) : "";
+            const icon = a.severity === "warning" ? "ri-alarm-warning-line" : "ri-error-warning-line";
+            return `
+              <div class="weather-alert weather-alert--${escapeHtml(a.severity)}" role="alert" data-alert-id="${escapeHtml(a.id)}">
+                <i class="${icon}" aria-hidden="true"></i>
+                <div>
+                  <p class="weather-alert__title">
+                    ${escapeHtml(a.label)}${value ? ` • ${escapeHtml(value)}` : ""}
+                    ${when ? `<span class="muted">from ${escapeHtml(when)}</span>` : ""}
+                  </p>
+                  <p class="weather-alert__advice muted">${escapeHtml(a.advice)}</p>
+                </div>
+              </div>
+            `;
+          })
+          .join("");
+      }
+
+      dispatch("kurdistan:weather:alert", { cityId: city.id, cityName: city.name, alerts });
+    };
+
+    // Header badge: count + severity on the weather button
+    const weatherBtn = $(APP.selectors.weatherButton);
+    if (weatherBtn) {
+      const baseLabel = weatherBtn.getAttribute("aria-label") || "Open weather widget";
+      document.addEventListener("kurdistan:weather:alert", (e) => {
+        const { alerts = [], cityName = "" } = e.detail || {};
+        let badge = qsIn(weatherBtn, ".pill-btn__badge");
+        if (!badge) {
+          badge = document.createElement("span");
+          badge.className = "pill-btn__badge";
+          badge.setAttribute("aria-hidden", "true");
+          weatherBtn.appendChild(badge);
+        }
+        const worst = alerts.some((a) => a.severity === "warning") ? "warning" : "advisory";
+        badge.textContent = alerts.length ? String(alerts.length) : "";
+        // Only `hidden`: the count is in the button label, so the badge stays aria-hidden
+        badge.hidden = !alerts.length;
+        weatherBtn.classList.toggle("has-alerts", alerts.length > 0);
+        weatherBtn.setAttribute("data-alert-severity", alerts.length ? worst : "");
+        weatherBtn.setAttribute(
+          "aria-label",
+          alerts.length ? `${baseLabel} (${alerts.length} weather ${alerts.length === 1 ? "alert" : "alerts"} for ${cityName})` : baseLabel
+        );
+      });
+    }
+
     const renderWeather = (data, meta = {}) => {
       const city = getCity(STATE.weather.cityId);
-      const units = STATE.weather.units;
-      const unitSymbol = units === "f" ? "°F" : "°C";
-      const windUnit = units === "f" ? "mph" : "km/h";
+      const prefs = STATE.weather.unitPrefs;
+      const tempDef = APP.weather.units.measures.temperature[prefs.temperature];
 
+      // `data` is the provider-neutral model: { units, current, hourly[], daily[] }; values are shown
+      // in the user's preferred units whatever the data was fetched in
+      const from = (data && data.units) || APP.weather.units.presets.metric;
+      const show = (kind, v, opts) => formatMeasure(kind, v, from[kind], opts);
       const current = data && data.current ? data.current : null;
-      const currentUnits = data && data.current_units ? data.current_units : null;
+      const num = (v) => (typeof v === "number" ? v : null);
 
-      const tempC = current && typeof current.temperature_2m === "number" ? current.temperature_2m : null;
-      const temp = units === "f" && tempC !== null ? toF(tempC) : tempC;
-      const humidity = current && typeof current.relative_humidity_2m === "number" ? current.relative_humidity_2m : null;
-      const feelsC = current && typeof current.apparent_temperature === "number" ? current.apparent_temperature : null;
-      const feels = units === "f" && feelsC !== null ? toF(feelsC) : feelsC;
-
-      const wcode = current && typeof current.weather_code === "number" ? current.weather_code : null;
-      const windKmh = current && typeof current.wind_speed_10m === "number" ? current.wind_speed_10m : null;
-      const wind = units === "f" && windKmh !== null ? windKmh * 0.621371 : windKmh;
+      const humidity = current ? num(current.humidity) : null;
+      const wcode = current ? num(current.weatherCode) : null;
 
       const timeStr = current && current.time ? current.time : null;
       const timeLabel = timeStr ? `${formatDateShort(timeStr)} • ${formatTimeShort(timeStr)}` : "—";
@@ -1327,9 +2553,21 @@
       const { icon, label } = codeToIcon(wcode);
 
       if (statusEl) {
-        const source = meta.source === "cache" ? "Cached" : "Live";
-        statusEl.textContent = `${source} weather updated: ${timeLabel}`;
+        if (meta.failed) {
+          const age = formatAge(meta.ts);
+          statusEl.textContent = meta.offline
+            ? `Offline — showing weather saved ${age} (${timeLabel}).`
+            : `Could not refresh (${STATE.weather.lastError}) — showing weather saved ${age} (${timeLabel}).`;
+        } else if (meta.source === "stale") {
+          statusEl.textContent = `Stale weather from ${formatAge(meta.ts)} (${timeLabel}) • refreshing…`;
+        } else {
+          const source = meta.source === "cache" ? "Cached" : "Live";
+          statusEl.textContent = `${source} weather updated: ${timeLabel}`;
+        }
       }
+      const staleBadge = meta.source === "stale" || meta.offline
+        ? `<span class="weather-badge weather-badge--stale" title="Saved ${escapeHtml(formatAge(meta.ts))}">${meta.offline ? "Offline" : "Stale"}</span>`
+        : "";
 
       if (nowParts) {
         const statusSpan = qsIn(nowParts.status, "span");
@@ -1339,7 +2577,7 @@
           <div class="weather-now">
             <div class="weather-now__icon"><i class="${icon}" aria-hidden="true"></i></div>
             <div>
-              <p class="weather-now__temp">${temp !== null ? `${formatNumber(temp, 0)}${unitSymbol}` : "—"}</p>
+              <p class="weather-now__temp">${show("temperature", current && current.temperature)}${staleBadge}</p>
               <p class="weather-now__city muted">${escapeHtml(city.name)}</p>
               <p class="weather-now__desc muted">${escapeHtml(label)}</p>
             </div>
@@ -1347,7 +2585,7 @@
           <dl class="weather-stats">
             <div class="weather-stats__item">
               <dt><i class="ri-thermometer-line" aria-hidden="true"></i>Feels like</dt>
-              <dd>${feels !== null ? `${formatNumber(feels, 0)}${unitSymbol}` : "—"}</dd>
+              <dd>${show("temperature", current && current.apparentTemperature)}</dd>
             </div>
             <div class="weather-stats__item">
               <dt><i class="ri-drop-line" aria-hidden="true"></i>Humidity</dt>
@@ -1355,7 +2593,15 @@
             </div>
             <div class="weather-stats__item">
               <dt><i class="ri-windy-line" aria-hidden="true"></i>Wind</dt>
-              <dd>${wind !== null ? `${formatNumber(wind, 0)} ${windUnit}` : "—"}</dd>
+              <dd>${show("wind", current && current.windSpeed)}</dd>
+            </div>
+            <div class="weather-stats__item">
+              <dt><i class="ri-umbrella-line" aria-hidden="true"></i>Precipitation</dt>
+              <dd>${show("precipitation", current && current.precipitation)}</dd>
+            </div>
+            <div class="weather-stats__item">
+              <dt><i class="ri-dashboard-3-line" aria-hidden="true"></i>Pressure</dt>
+              <dd>${show("pressure", current && current.pressure)}</dd>
             </div>
             <div class="weather-stats__item">
               <dt><i class="ri-map-pin-2-line" aria-hidden="true"></i>Coordinates</dt>
@@ -1365,98 +2611,471 @@
         `;
       }
 
-      // Forecast: Use hourly first 8 points (next 24h)
+      // Forecast: 24-hour chart (temperature line, precipitation/humidity bars, wind arrows)
       if (fcParts) {
-        const h = data && data.hourly ? data.hourly : null;
-        const times = h && Array.isArray(h.time) ? h.time : [];
-        const tempsC = h && Array.isArray(h.temperature_2m) ? h.temperature_2m : [];
-        const codes = h && Array.isArray(h.weather_code) ? h.weather_code : [];
-        const winds = h && Array.isArray(h.wind_speed_10m) ? h.wind_speed_10m : [];
-        const hums = h && Array.isArray(h.relative_humidity_2m) ? h.relative_humidity_2m : [];
-
-        const rows = [];
-        const count = Math.min(8, times.length, tempsC.length, codes.length);
-        for (let i = 0; i < count; i++) {
-          const t = times[i];
-          const tempVal = units === "f" ? toF(tempsC[i]) : tempsC[i];
-          const w = units === "f" ? winds[i] * 0.621371 : winds[i];
-          const { icon: ic, label: lb } = codeToIcon(codes[i]);
-          rows.push(`
-            <div class="glass-card" style="padding:12px; border-radius:18px; margin-top:10px;">
-              <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
-                <div style="display:flex; align-items:center; gap:10px;">
-                  <span style="width:40px; height:40px; border-radius:16px; display:grid; place-items:center; border:1px solid var(--border); background:rgba(255,255,255,.06);">
-                    <i class="${ic}" aria-hidden="true"></i>
-                  </span>
-                  <div>
-                    <div style="font-weight:700; letter-spacing:.02em;">${escapeHtml(formatTimeShort(t))}</div>
-                    <div style="color:var(--muted); font-size:12px;">${escapeHtml(lb)}</div>
-                  </div>
-                </div>
-                <div style="text-align:right;">
-                  <div style="font-family:var(--display); font-weight:700; letter-spacing:.02em;">${formatNumber(tempVal, 0)}${unitSymbol}</div>
-                  <div style="color:var(--muted); font-size:12px; display:flex; justify-content:flex-end; gap:10px; flex-wrap:wrap;">
-                    <span><i class="ri-windy-line" aria-hidden="true"></i> ${formatNumber(w, 0)} ${windUnit}</span>
-                    <span><i class="ri-drop-line" aria-hidden="true"></i> ${formatNumber(hums[i], 0)}%</span>
-                  </div>
+        const hourly = data && Array.isArray(data.hourly) ? data.hourly.slice(0, 24) : [];
+
+        const statusSpan = qsIn(fcParts.status, "span");
+        if (statusSpan) statusSpan.textContent = hourly.length ? `Next ${hourly.length} hours • ${tempDef.name}` : "—";
+
+        fcParts.body.innerHTML = hourly.length
+          ? renderHourlyChart(hourly, from)
+          : `<div class="reader__placeholder">No forecast data available.</div>`;
+      }
+
+      // Daily: 7-day outlook
+      if (dailyParts) {
+        const days = data && Array.isArray(data.daily) ? data.daily : [];
+        const deg = (v) => show("temperature", v, { unit: false }) + (typeof v === "number" ? "°" : "");
+        const fmt = (v, digits = 0, suffix = "") => (typeof v === "number" ? `${formatNumber(v, digits)}${suffix}` : "—");
+
+        const rows = days.slice(0, 7).map((day, i) => {
+          const date = parseLocalDate(day.date);
+          const dayLabel = i === 0 ? "Today" : date ? date.toLocaleDateString(undefined, { weekday: "short" }) : "—";
+          const dateLabel = date ? date.toLocaleDateString(undefined, { month: "short", day: "numeric" }) : "";
+          const { icon: ic, label: lb } = codeToIcon(day.weatherCode);
+          return `
+            <div class="weather-daily__row">
+              <div style="display:flex; align-items:center; gap:10px; min-width:0;">
+                <span style="width:36px; height:36px; border-radius:14px; display:grid; place-items:center; border:1px solid var(--border); background:rgba(255,255,255,.06);">
+                  <i class="${ic}" aria-hidden="true"></i>
+                </span>
+                <div>
+                  <div style="font-weight:700; letter-spacing:.02em;">${escapeHtml(dayLabel)} <span style="color:var(--muted); font-weight:400; font-size:12px;">${escapeHtml(dateLabel)}</span></div>
+                  <div style="color:var(--muted); font-size:12px;">${escapeHtml(lb)}</div>
                 </div>
               </div>
+              <div style="font-family:var(--display); font-weight:700; letter-spacing:.02em;">
+                ${deg(day.tempMax)} <span style="color:var(--muted); font-weight:400;">/ ${deg(day.tempMin)}</span>
+              </div>
+              <div style="color:var(--muted); font-size:12px; display:flex; gap:10px; flex-wrap:wrap; justify-content:flex-end;">
+                <span title="Chance of precipitation"><i class="ri-umbrella-line" aria-hidden="true"></i> ${fmt(day.precipProbability, 0, "%")}</span>
+                <span title="Precipitation total"><i class="ri-drop-line" aria-hidden="true"></i> ${show("precipitation", day.precipSum)}</span>
+                <span title="Max UV index"><i class="ri-sun-line" aria-hidden="true"></i> UV ${fmt(day.uvIndexMax, 0)}</span>
+                <span title="Sunrise / sunset"><i class="ri-sun-foggy-line" aria-hidden="true"></i> ${escapeHtml(formatTimeShort(day.sunrise))} – ${escapeHtml(formatTimeShort(day.sunset))}</span>
+              </div>
             </div>
-          `);
-        }
+          `;
+        });
 
-        const statusSpan = qsIn(fcParts.status, "span");
-        if (statusSpan) statusSpan.textContent = count ? `Next hours • ${units === "f" ? "Fahrenheit" : "Celsius"}` : "—";
+        const statusSpan = qsIn(dailyParts.status, "span");
+        if (statusSpan) statusSpan.textContent = rows.length ? `${rows.length} days • ${tempDef.label}` : "—";
 
-        fcParts.body.innerHTML = rows.length
-          ? `<div class="forecast">${rows.join("")}</div>`
-          : `<div class="reader__placeholder">No forecast data available.</div>`;
+        dailyParts.body.innerHTML = rows.length
+          ? `<div class="weather-daily">${rows.join("")}</div>`
+          : `<div class="reader__placeholder">No daily outlook available.</div>`;
       }
+
+      updateAlerts(data);
     };
 
-    const fetchWeather = async ({ force = false } = {}) => {
+    const fetchWeather = async (key, { signal, onRetry } = {}) => {
       const city = getCity(STATE.weather.cityId);
       if (!city) throw new Error("City not found");
 
-      // cache check
-      if (!force) {
-        const cached = fromCache();
-        if (cached) return { data: cached, source: "cache" };
+      const provider = getWeatherProvider();
+      const model = await fetchWithRetry((attemptSignal) => provider.fetchForecast(city, { signal: attemptSignal, units: STATE.weather.unitPrefs }), { signal, onRetry });
+      cacheSet(model, key);
+      return { data: model, source: "live" };
+    };
+
+    // Air quality: same cache (units-independent key) and retry/cancel path as the forecast
+    const airKey = (cityId = STATE.weather.cityId) => `${getWeatherProvider().name}_aq_${cityId}`;
+    const bandFor = (scale, value) => scale.find((b) => value <= b.max) || scale[scale.length - 1];
+
+    const renderAirQuality = (aq, meta = {}) => {
+      if (!airParts) return;
+      const fmt = (v, digits = 0) => (typeof v === "number" ? formatNumber(v, digits) : "—");
+      const cfg = APP.weather.airQuality;
+      const band = typeof aq.aqi === "number" ? bandFor(cfg.aqiScale, aq.aqi) : null;
+      const uv = typeof aq.uvIndex === "number" ? bandFor(cfg.uvScale, aq.uvIndex) : null;
+      const dusty = typeof aq.dust === "number" && aq.dust >= cfg.dustAlert;
+
+      const pollen = Object.entries(aq.pollen || {}).filter(([, v]) => typeof v === "number");
+      const pollenRow = pollen.length
+        ? `
+          <div class="weather-stats__item">
+            <dt><i class="ri-plant-line" aria-hidden="true"></i> Pollen</dt>
+            <dd>${pollen.map(([name, v]) => `${escapeHtml(name)} ${fmt(v)}`).join(" • ")} <small class="muted">grains/m³</small></dd>
+          </div>
+        `
+        : "";
+
+      const statusSpan = qsIn(airParts.status, "span");
+      if (statusSpan) {
+        const when = aq.time ? formatTimeShort(aq.time) : "—";
+        statusSpan.textContent = meta.source === "stale" ? `Saved ${formatAge(meta.ts)}` : `${meta.source === "cache" ? "Cached" : "Live"} • ${when}`;
       }
 
-      const params = new URLSearchParams({
-        latitude: String(city.lat),
-        longitude: String(city.lon),
-        current: APP.weather.params.current,
-        hourly: APP.weather.params.hourly,
-        timezone: APP.weather.params.timezone,
-        forecast_hours: String(APP.weather.params.forecast_hours),
-        // Open-Meteo can output units: but easiest is request in metric and convert to F if needed.
-        // We'll keep default (metric).
-      });
+      airParts.body.innerHTML = `
+        <div class="air-quality">
+          <div class="air-quality__index" style="--aqi-color:${band ? band.color : "rgba(255,255,255,.3)"};">
+            <span class="air-quality__value">${fmt(aq.aqi)}</span>
+            <span class="air-quality__scale">US AQI</span>
+          </div>
+          <div>
+            <p class="air-quality__label">${band ? escapeHtml(band.label) : "No AQI reading"}</p>
+            <p class="air-quality__advice muted">${band ? escapeHtml(band.advice) : "Air-quality data is not available for this place."}</p>
+          </div>
+        </div>
+        ${dusty ? `
+          <p class="air-quality__alert" role="alert">
+            <i class="ri-haze-2-line" aria-hidden="true"></i>
+            Dust levels are high (${fmt(aq.dust)} µg/m³). ${escapeHtml(cfg.dustAdvice)}
+          </p>
+        ` : ""}
+        <dl class="weather-stats">
+          <div class="weather-stats__item">
+            <dt><i class="ri-bubble-chart-line" aria-hidden="true"></i> PM2.5</dt>
+            <dd>${fmt(aq.pm25, 1)} <small class="muted">µg/m³</small></dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-bubble-chart-line" aria-hidden="true"></i> PM10</dt>
+            <dd>${fmt(aq.pm10, 1)} <small class="muted">µg/m³</small></dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-haze-2-line" aria-hidden="true"></i> Dust</dt>
+            <dd>${fmt(aq.dust)} <small class="muted">µg/m³</small></dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-sun-line" aria-hidden="true"></i> UV index</dt>
+            <dd>${fmt(aq.uvIndex, 1)}${uv ? ` <span class="air-quality__chip" style="--aqi-color:${uv.color};">${escapeHtml(uv.label)}</span>` : ""}</dd>
+          </div>
+          ${pollenRow}
+        </dl>
+        ${uv && uv.advice ? `<p class="air-quality__advice muted"><i class="ri-sun-line" aria-hidden="true"></i> ${escapeHtml(uv.advice)}</p>` : ""}
+      `;
+    };
+
+    const loadAirQuality = async ({ force = false } = {}) => {
+      if (!airParts) return;
+      const provider = getWeatherProvider();
+      if (STATE.weather.airRequest) STATE.weather.airRequest.abort();
+      if (typeof provider.fetchAirQuality !== "function") {
+        airParts.body.innerHTML = `<div class="reader__placeholder">Air quality is not available from this weather source.</div>`;
+        return;
+      }
+
+      const controller = new AbortController();
+      STATE.weather.airRequest = controller;
+      const city = getCity(STATE.weather.cityId);
+      const key = airKey(city.id);
+      const cached = fromCache(key, isAirQualityModel);
+
+      if (cached) renderAirQuality(cached.data, { source: cached.stale ? "stale" : "cache", ts: cached.ts });
+      if (cached && !cached.stale && !force) return;
+      if (!cached) {
+        airParts.body.innerHTML = `
+          <div class="forecast__placeholder">
+            <div class="skeleton line"></div>
+            <div class="skeleton line"></div>
+            <div class="skeleton line short"></div>
+          </div>
+        `;
+      }
 
-      const url = `${APP.weather.base}?${params.toString()}`;
+      try {
+        const aq = await fetchWithRetry((signal) => provider.fetchAirQuality(city, { signal }), { signal: controller.signal });
+        cacheSet(aq, key);
+        if (STATE.weather.airRequest !== controller) return;
+        renderAirQuality(aq, { source: "live" });
+        dispatch("kurdistan:weather:air", { cityId: city.id, aqi: aq.aqi, dust: aq.dust });
+      } catch (err) {
+        if (controller.signal.aborted || cached) return;
+        airParts.body.innerHTML = `<div class="reader__placeholder">Air quality unavailable right now. ${escapeHtml(err instanceof Error ? err.message : String(err))}</div>`;
+      } finally {
+        if (STATE.weather.airRequest === controller) STATE.weather.airRequest = null;
+      }
+    };
+
+    // Climate normals: 12-month chart with the recommended travel window shaded
+    const monthName = (i, style = "short") => new Date(2000, i, 1).toLocaleDateString(undefined, { month: style });
+
+    const renderClimate = (climate, city) => {
+      if (!climateParts) return;
+      const prefs = STATE.weather.unitPrefs;
+      const from = climate.units || APP.weather.units.presets.metric;
+      const months = scoreClimateMonths(climate.months, from);
+      const conv = (v) => convertMeasure("temperature", v, from.temperature, prefs.temperature);
+      const rain = (v) => convertMeasure("precipitation", v, from.precipitation, prefs.precipitation);
+      const rainUnit = APP.weather.units.measures.precipitation[prefs.precipitation].label;
+      const inches = prefs.precipitation === "inch";
+      const fmt = (v, digits = 0, suffix = "") => (v === null ? "—" : `${formatNumber(v, digits)}${suffix}`);
+
+      const width = 720;
+      const left = 40;
+      const right = 44;
+      const top = 14;
+      const plot = 140;
+      const base = top + plot;
+      const step = (width - left - right) / 12;
+      const xAt = (i) => left + step * (i + 0.5);
+
+      const temps = months.flatMap((m) => [conv(m.tempMax), conv(m.tempMin)]).filter((v) => v !== null);
+      const lo = temps.length ? Math.floor(Math.min(...temps) / 5) * 5 : 0;
+      const hi = temps.length ? Math.ceil(Math.max(...temps) / 5) * 5 : 1;
+      const yT = (t) => top + (1 - (t - lo) / Math.max(1, hi - lo)) * plot;
+      const rainMax = Math.max(inches ? 2 : 50, ...months.map((m) => rain(m.precipSum) || 0));
+      const yR = (r) => base - (r / rainMax) * plot;
+
+      const windows = months
+        .map((m, i) => (m.recommended ? `<rect class="climate-chart__window" x="${(xAt(i) - step / 2).toFixed(1)}" y="${top}" width="${step.toFixed(1)}" height="${plot}"></rect>` : ""))
+        .join("");
+      const bars = months
+        .map((m, i) => {
+          const r = rain(m.precipSum);
+          if (!r) return "";
+          return `<rect class="climate-chart__rain" x="${(xAt(i) - step * 0.22).toFixed(1)}" y="${yR(r).toFixed(1)}" width="${(step * 0.44).toFixed(1)}" height="${(base - yR(r)).toFixed(1)}" rx="3"></rect>`;
+        })
+        .join("");
+      const linePath = (key) => months
+        .map((m, i) => ({ x: xAt(i), v: conv(m[key]) }))
+        .filter((p) => p.v !== null)
+        .map((p, i) => `${i ? "L" : "M"}${p.x.toFixed(1)},${yT(p.v).toFixed(1)}`)
+        .join(" ");
+      const grid = [lo, (lo + hi) / 2, hi]
+        .map((t) => `
+          <line class="hourly-chart__grid" x1="${left}" x2="${width - right}" y1="${yT(t).toFixed(1)}" y2="${yT(t).toFixed(1)}"></line>
+          <text class="hourly-chart__axis" x="${left - 8}" y="${(yT(t) + 4).toFixed(1)}" text-anchor="end">${formatNumber(t, 0)}°</text>
+        `)
+        .join("");
+      const labels = months
+        .map((m, i) => `
+          <g class="climate-chart__month${m.recommended ? " is-recommended" : ""}">
+            <title>${escapeHtml(monthName(i, "long"))}: ${fmt(conv(m.tempMax), 0, "°")} / ${fmt(conv(m.tempMin), 0, "°")}, ${fmt(rain(m.precipSum), inches ? 1 : 0, ` ${rainUnit}`)} rain, ${fmt(m.sunshineHours, 1, " h")} sun</title>
+            <rect class="hourly-chart__hit" x="${(xAt(i) - step / 2).toFixed(1)}" y="0" width="${step.toFixed(1)}" height="${base + 30}"></rect>
+            <text class="hourly-chart__axis" x="${xAt(i).toFixed(1)}" y="${base + 18}" text-anchor="middle">${escapeHtml(monthName(i))}</text>
+          </g>
+        `)
+        .join("");
+
+      const best = describeMonthRuns(months.map((m) => m.recommended), (i) => monthName(i));
+      const rows = months
+        .map((m, i) => `
+          <tr>
+            <th scope="row">${escapeHtml(monthName(i, "long"))}${m.recommended ? " (recommended)" : ""}</th>
+            <td>${formatMeasure("temperature", m.tempMax, from.temperature)}</td>
+            <td>${formatMeasure("temperature", m.tempMin, from.temperature)}</td>
+            <td>${fmt(rain(m.precipSum), inches ? 1 : 0, ` ${rainUnit}`)}</td>
+            <td>${fmt(m.sunshineHours, 1, " h")}</td>
+          </tr>
+        `)
+        .join("");
+
+      const statusSpan = qsIn(climateParts.status, "span");
+      if (statusSpan) statusSpan.textContent = climate.source === "dataset" ? "Bundled normals" : climate.period || "Historical average";
+
+      climateParts.body.innerHTML = `
+        <p class="climate__best">
+          <i class="ri-calendar-check-line" aria-hidden="true"></i>
+          ${best
+            ? `Best time to visit ${escapeHtml(city.name)}: <strong>${escapeHtml(best)}</strong>`
+            : `No month in ${escapeHtml(city.name)} scores as clearly comfortable; compare highs and rainfall below.`}
+        </p>
+        <div class="hourly-chart">
+          <svg class="hourly-chart__svg" viewBox="0 0 ${width} ${base + 28}" role="img"
+            aria-label="Monthly climate for ${escapeHtml(city.name)}: average highs and lows as lines, rainfall as bars, recommended months shaded.">
+            ${windows}
+            ${grid}
+            <text class="hourly-chart__axis" x="${width - right + 8}" y="${top + 4}">${formatNumber(rainMax, inches ? 1 : 0)} ${rainUnit}</text>
+            <g aria-hidden="true">${bars}</g>
+            <path class="climate-chart__high" d="${linePath("tempMax")}" aria-hidden="true"></path>
+            <path class="climate-chart__low" d="${linePath("tempMin")}" aria-hidden="true"></path>
+            ${labels}
+          </svg>
+          <p class="hourly-chart__legend muted">
+            <span><i class="hourly-chart__key climate-chart__key--high" aria-hidden="true"></i> Avg high</span>
+            <span><i class="hourly-chart__key climate-chart__key--low" aria-hidden="true"></i> Avg low</span>
+            <span><i class="hourly-chart__key hourly-chart__key--bar" aria-hidden="true"></i> Rainfall</span>
+            <span><i class="hourly-chart__key climate-chart__key--window" aria-hidden="true"></i> Recommended</span>
+          </p>
+          <table class="sr-only">
+            <caption>Monthly climate normals for ${escapeHtml(city.name)}</caption>
+            <thead><tr><th scope="col">Month</th><th scope="col">Avg high</th><th scope="col">Avg low</th><th scope="col">Rainfall</th><th scope="col">Sunshine per day</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `;
+    };
+
+    // Provider archive first; the bundled dataset covers offline use and providers without climate
+    const loadClimate = async () => {
+      if (!climateParts) return;
+      if (STATE.weather.climateRequest) STATE.weather.climateRequest.abort();
+      const controller = new AbortController();
+      STATE.weather.climateRequest = controller;
+
+      const provider = getWeatherProvider();
+      const city = getCity(STATE.weather.cityId);
+      // Normals carry their own units and are converted on render, so one entry serves every preference
+      const key = `${provider.name}_climate_${city.id}`;
+      const cached = fromCache(key, isClimateModel);
+      if (cached) renderClimate(cached.data, city);
+      if (cached && !cached.stale) return;
+      if (!cached) {
+        climateParts.body.innerHTML = `
+          <div class="forecast__placeholder">
+            <div class="skeleton line"></div>
+            <div class="skeleton line"></div>
+            <div class="skeleton line short"></div>
+          </div>
+        `;
+      }
+
+      let climate = null;
+      try {
+        if (typeof provider.fetchClimate === "function") {
+          climate = await fetchWithRetry((signal) => provider.fetchClimate(city, { signal, units: STATE.weather.unitPrefs }), { signal: controller.signal });
+        }
+      } catch {
+        if (controller.signal.aborted) return;
+      }
+      try {
+        if (!climate) climate = climateFromDataset(await fetchWeatherJson(APP.weather.climateDatasetUrl, { signal: controller.signal }), city);
+      } catch {
+        if (controller.signal.aborted) return;
+      }
+      if (STATE.weather.climateRequest !== controller) return;
+      STATE.weather.climateRequest = null;
+
+      if (climate) {
+        cacheSet(climate, key, APP.weather.climate.ttlMs);
+        renderClimate(climate, city);
+      } else if (!cached) {
+        climateParts.body.innerHTML = `<div class="reader__placeholder">No climate data available for ${escapeHtml(city.name)}.</div>`;
+      }
+    };
+
+    // Sun & light: computed locally, so it renders instantly and works offline. The date picker
+    // follows the city's "today" until the visitor picks another day.
+    let sunDatePinned = false;
+
+    const renderSun = () => {
+      if (!sunParts) return;
+      const city = getCity(STATE.weather.cityId);
+      const timeZone = cityTimeZone(city);
+      const today = cityLocalDate(timeZone);
+      if (sunDateInput && (!sunDatePinned || !sunDateInput.value)) sunDateInput.value = today;
+      const date = (sunDateInput && sunDateInput.value) || today;
+      const sun = computeSolarDay(city, date);
+
+      const statusSpan = qsIn(sunParts.status, "span");
+      if (statusSpan) statusSpan.textContent = `Local time ${formatCityTime(new Date(), timeZone)}`;
+      if (!sun) {
+        sunParts.body.innerHTML = `<div class="reader__placeholder">No solar data for ${escapeHtml(city.name)}.</div>`;
+        return;
+      }
 
-      const res = await fetch(url, { method: "GET", headers: { "Accept": "application/json" } });
-      if (!res.ok) throw new Error(`Weather request failed (${res.status})`);
-      const json = await res.json();
-      cacheSet(json);
-      return { data: json, source: "live" };
+      const t = (d) => formatCityTime(d, timeZone);
+      const span = (p) => (p.start && p.end ? `${t(p.start)} – ${t(p.end)}` : "—");
+      // Periods sit on a 24-hour strip of the city's day
+      const segment = (cls, start, end, label) => {
+        if (!start || !end) return "";
+        const a = (cityMinutes(start, timeZone) / 1440) * 100;
+        const b = (cityMinutes(end, timeZone) / 1440) * 100;
+        return b > a ? `<span class="solar__segment solar__segment--${cls}" style="left:${a.toFixed(2)}%; width:${(b - a).toFixed(2)}%;" title="${escapeHtml(label)}"></span>` : "";
+      };
+      const hours = sun.dayLengthMin === null ? null : `${Math.floor(sun.dayLengthMin / 60)} h ${sun.dayLengthMin % 60} min`;
+
+      sunParts.body.innerHTML = `
+        <div class="solar__strip" aria-hidden="true">
+          ${segment("day", sun.sunrise, sun.sunset, "Daylight")}
+          ${segment("golden", sun.golden.morning.start, sun.golden.morning.end, "Golden hour")}
+          ${segment("golden", sun.golden.evening.start, sun.golden.evening.end, "Golden hour")}
+          ${segment("blue", sun.blue.morning.start, sun.blue.morning.end, "Blue hour")}
+          ${segment("blue", sun.blue.evening.start, sun.blue.evening.end, "Blue hour")}
+        </div>
+        <dl class="weather-stats solar__times">
+          <div class="weather-stats__item">
+            <dt><i class="ri-sun-foggy-line" aria-hidden="true"></i>Sunrise</dt>
+            <dd>${t(sun.sunrise)}</dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-moon-foggy-line" aria-hidden="true"></i>Sunset</dt>
+            <dd>${t(sun.sunset)}</dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-contrast-2-line" aria-hidden="true"></i>Civil twilight</dt>
+            <dd>${t(sun.civilDawn)} / ${t(sun.civilDusk)}</dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-sun-line" aria-hidden="true"></i>Solar noon</dt>
+            <dd>${t(sun.solarNoon)}${hours ? ` <span class="muted">(${hours} of daylight)</span>` : ""}</dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-camera-lens-line" aria-hidden="true"></i>Golden hour</dt>
+            <dd>${span(sun.golden.morning)}<br />${span(sun.golden.evening)}</dd>
+          </div>
+          <div class="weather-stats__item">
+            <dt><i class="ri-camera-line" aria-hidden="true"></i>Blue hour</dt>
+            <dd>${span(sun.blue.morning)}<br />${span(sun.blue.evening)}</dd>
+          </div>
+        </dl>
+      `;
     };
 
+    if (sunDateInput) {
+      sunDateInput.addEventListener("change", () => {
+        sunDatePinned = !!sunDateInput.value;
+        renderSun();
+      });
+    }
+
+    // Every call supersedes the previous one: its request is aborted and, via the sequence
+    // number, nothing it resolves with can reach the DOM after a newer city/units selection.
     const renderWeatherFromCacheOrFetch = async ({ force = false } = {}) => {
-      if (STATE.weather.isLoading) return;
+      if (STATE.weather.request) STATE.weather.request.abort();
+      const controller = new AbortController();
+      const seq = ++STATE.weather.requestSeq;
+      const isCurrent = () => seq === STATE.weather.requestSeq;
+      STATE.weather.request = controller;
       STATE.weather.isLoading = true;
       STATE.weather.lastError = null;
+      renderSun();
+      loadAirQuality({ force });
+      loadClimate();
+
+      const key = buildKey();
+      const cached = fromCache(key);
+      const emit = (source) => dispatch("kurdistan:weather", { cityId: STATE.weather.cityId, units: { ...STATE.weather.unitPrefs }, source });
+
+      // Fresh hit: nothing to revalidate
+      if (cached && !cached.stale && !force) {
+        renderWeather(cached.data, { source: "cache" });
+        emit("cache");
+        STATE.weather.request = null;
+        STATE.weather.isLoading = false;
+        return;
+      }
+
+      // Stale hit: show it now, keep it if the refresh fails
+      if (cached && cached.stale) {
+        renderWeather(cached.data, { source: "stale", ts: cached.ts });
+        emit("stale");
+      } else {
+        renderSkeleton();
+      }
 
-      renderSkeleton();
+      const onRetry = (attempt, total) => {
+        if (isCurrent() && statusEl) statusEl.textContent = `Weather service is slow to respond • retrying (${attempt}/${total})…`;
+      };
 
       try {
-        const { data, source } = await fetchWeather({ force });
+        const { data, source } = await fetchWeather(key, { signal: controller.signal, onRetry });
+        if (!isCurrent()) return;
         renderWeather(data, { source });
-        dispatch("kurdistan:weather", { cityId: STATE.weather.cityId, units: STATE.weather.units, source });
+        emit(source);
       } catch (err) {
+        // Superseded requests end silently; the newer call owns the UI
+        if (!isCurrent() || controller.signal.aborted) return;
         STATE.weather.lastError = err instanceof Error ? err.message : String(err);
+        if (cached) {
+          // Keep the saved data; only a network failure means we are offline (a forced refresh can
+          // fail over data that is still fresh)
+          const offline = err.name === "TypeError" || navigator.onLine === false;
+          renderWeather(cached.data, { source: cached.stale ? "stale" : "cache", ts: cached.ts, failed: true, offline });
+          return;
+        }
         if (statusEl) statusEl.textContent = `Could not load weather. ${STATE.weather.lastError}`;
         if (nowParts) {
           nowParts.body.innerHTML = `
@@ -1481,288 +3100,2324 @@
         if (fcParts) {
           fcParts.body.innerHTML = `<div class="reader__placeholder">Forecast unavailable right now.</div>`;
         }
+        if (dailyParts) {
+          dailyParts.body.innerHTML = `<div class="reader__placeholder">7-day outlook unavailable right now.</div>`;
+        }
       } finally {
-        STATE.weather.isLoading = false;
+        if (isCurrent()) {
+          STATE.weather.request = null;
+          STATE.weather.isLoading = false;
+        }
       }
     };
 
-    // Open overlay triggers should load weather
-    document.addEventListener("kurdistan:overlay:open", (e) => {
-      if (!e.detail) return;
-      const id = overlay.id || null;
-      if (id && e.detail.id !== id) return;
+    // Comparison table: every city side by side, sortable, rows drill into the single-city view
+    const compareColumns = [
+      { key: "name", label: "City" },
+      { key: "temp", label: "Now" },
+      { key: "feels", label: "Feels like" },
+      { key: "wind", label: "Wind" },
+      { key: "humidity", label: "Humidity" },
+      { key: "high", label: "High" },
+      { key: "low", label: "Low" },
+    ];
+
+    const setCompareStatus = (text) => {
+      const span = compareParts ? qsIn(compareParts.status, "span") : null;
+      if (span) span.textContent = text;
+    };
+
+    const paintComparison = () => {
+      if (!compareParts) return;
+      const prefs = STATE.weather.unitPrefs;
+      const { key: sortKey, dir } = STATE.weather.compareSort;
+
+      // Rows hold display-unit numbers so sorting and rendering agree
+      const rows = getWeatherCities().map((city) => {
+        const cached = peekCache(buildKey(city.id));
+        const model = cached ? cached.data : null;
+        const cur = model && model.current ? model.current : {};
+        const today = model && model.daily[0] ? model.daily[0] : {};
+        const from = (model && model.units) || APP.weather.units.presets.metric;
+        const conv = (v) => convertMeasure("temperature", v, from.temperature, prefs.temperature);
+        const convWind = (v) => convertMeasure("wind", v, from.wind, prefs.wind);
+        return {
+          id: city.id,
+          name: city.name,
+          code: cur.weatherCode,
+          stale: !!(cached && cached.stale),
+          temp: conv(cur.temperature),
+          feels: conv(cur.apparentTemperature),
+          wind: convWind(cur.windSpeed),
+          humidity: typeof cur.humidity === "number" ? cur.humidity : null,
+          high: conv(today.tempMax),
+          low: conv(today.tempMin),
+        };
+      });
+
+      // Missing values always sink to the bottom, whichever the direction
+      rows.sort((a, b) => {
+        const av = a[sortKey];
+        const bv = b[sortKey];
+        if (av === null || av === undefined) return bv === null || bv === undefined ? 0 : 1;
+        if (bv === null || bv === undefined) return -1;
+        const cmp = typeof av === "string" ? av.localeCompare(bv) : av - bv;
+        return dir === "asc" ? cmp : -cmp;
+      });
+
+      const deg = (v) => (v === null ? "—" : `${formatNumber(v, 0)}°`);
+      const head = compareColumns
+        .map((col) => {
+          const active = col.key === sortKey;
+          const sort = active ? (dir === "asc" ? "ascending" : "descending") : "none";
+          const arrow = active ? (dir === "asc" ? "ri-arrow-up-s-line" : "ri-arrow-down-s-line") : "ri-expand-up-down-line";
+          return `
+            <th scope="col" aria-sort="${sort}">
+              <button type="button" class="weather-compare__sort${active ? " is-active" : ""}" data-compare-sort="${col.key}">
+                ${escapeHtml(col.label)} <i class="${arrow}" aria-hidden="true"></i>
+              </button>
+            </th>
+          `;
+        })
+        .join("");
+
+      const body = rows
+        .map((r) => {
+          const { icon, label } = codeToIcon(r.code);
+          const selected = r.id === STATE.weather.cityId;
+          return `
+            <tr class="weather-compare__row${selected ? " is-selected" : ""}" data-compare-city="${escapeHtml(r.id)}" tabindex="0" aria-label="Show ${escapeHtml(r.name)} in detail">
+              <th scope="row">
+                <i class="${r.code === undefined || r.code === null ? "ri-map-pin-line" : icon}" aria-hidden="true" title="${escapeHtml(label)}"></i>
+                ${escapeHtml(r.name)}${r.stale ? ` <span class="weather-badge weather-badge--stale">Stale</span>` : ""}
+              </th>
+              <td>${deg(r.temp)}</td>
+              <td>${deg(r.feels)}</td>
+              <td>${formatMeasure("wind", r.wind, prefs.wind)}</td>
+              <td>${r.humidity === null ? "—" : `${formatNumber(r.humidity, 0)}%`}</td>
+              <td>${deg(r.high)}</td>
+              <td>${deg(r.low)}</td>
+            </tr>
+          `;
+        })
+        .join("");
+
+      compareParts.body.innerHTML = `
+        <div class="weather-compare__scroll">
+          <table class="weather-compare">
+            <caption class="sr-only">Current conditions and today's range for each city. Select a column to sort, a row to open it.</caption>
+            <thead><tr>${head}</tr></thead>
+            <tbody>${body}</tbody>
+          </table>
+        </div>
+      `;
+    };
+
+    // Cached cities paint immediately; missing or stale ones are fetched together in one request
+    const renderComparison = async ({ force = false } = {}) => {
+      if (!compareParts) return;
+      if (STATE.weather.compareRequest) STATE.weather.compareRequest.abort();
+      const controller = new AbortController();
+      STATE.weather.compareRequest = controller;
+
+      const cities = getWeatherCities();
+      const pending = cities.filter((city) => {
+        const cached = peekCache(buildKey(city.id));
+        return force || !cached || cached.stale;
+      });
+
+      paintComparison();
+      if (!pending.length) {
+        setCompareStatus(`${cities.length} cities`);
+        return;
+      }
+
+      setCompareStatus(`Updating ${pending.length} ${pending.length === 1 ? "city" : "cities"}…`);
+      try {
+        const keys = pending.map((city) => buildKey(city.id));
+        const models = await fetchWithRetry((signal) => fetchWeatherBatch(pending, { signal, units: STATE.weather.unitPrefs }), { signal: controller.signal });
+        // Refreshing a row is not a visit: keep each entry's LRU stamp (unseen cities go first), but
+        // never evict the rows about to be painted
+        models.forEach((model, i) => {
+          const prev = STATE.weather.cache[keys[i]];
+          if (model && keys[i]) STATE.weather.cache[keys[i]] = { ts: nowMs(), used: prev && prev.used ? prev.used : 1, data: model };
+        });
+        persistWeatherCache(keys);
+        if (STATE.weather.compareRequest !== controller) return;
+        paintComparison();
+        setCompareStatus(`${cities.length} cities • updated ${formatTimeShort(new Date().toISOString())}`);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setCompareStatus(`Comparison unavailable • ${err instanceof Error ? err.message : String(err)}`);
+      } finally {
+        if (STATE.weather.compareRequest === controller) STATE.weather.compareRequest = null;
+      }
+    };
+
+    const drillIntoCity = (cityId) => {
+      if (!getWeatherCities().some((c) => c.id === cityId)) return;
+      STATE.weather.cityId = cityId;
+      if (citySelect) citySelect.value = cityId;
+      persistWeatherSettings();
       renderWeatherFromCacheOrFetch();
-    });
+      paintComparison();
+      if (cardNow) cardNow.scrollIntoView({ behavior: isReducedMotion() ? "auto" : "smooth", block: "start" });
+    };
 
-    // Also expose for other UI
-    window.__kurdistanWeatherRefresh = () => renderWeatherFromCacheOrFetch({ force: true });
-    window.__kurdistanWeatherOpen = () => openOverlay(overlay);
+    if (compareParts) {
+      compareParts.body.addEventListener("click", (e) => {
+        const sortBtn = e.target.closest("[data-compare-sort]");
+        if (sortBtn) {
+          const key = sortBtn.getAttribute("data-compare-sort");
+          const cur = STATE.weather.compareSort;
+          // Names read naturally A→Z; numbers are most useful highest-first
+          STATE.weather.compareSort = cur.key === key
+            ? { key, dir: cur.dir === "asc" ? "desc" : "asc" }
+            : { key, dir: key === "name" ? "asc" : "desc" };
+          paintComparison();
+          const again = qsIn(compareParts.body, `[data-compare-sort="${key}"]`);
+          if (again) again.focus();
+          return;
+        }
+        const row = e.target.closest("[data-compare-city]");
+        if (row) drillIntoCity(row.getAttribute("data-compare-city"));
+      });
 
-    // If overlay is already visible at load (edge case), render
-    if (!isHidden(overlay)) renderWeatherFromCacheOrFetch();
-  }
+      compareParts.body.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" && e.key !== " ") return;
+        const row = e.target.closest("tr[data-compare-city]");
+        if (!row || e.target !== row) return;
+        e.preventDefault();
+        drillIntoCity(row.getAttribute("data-compare-city"));
+      });
+    }
 
-  /* -----------------------------
-     10c) Planner Overlay (simple itinerary builder)
-  ------------------------------ */
-  function initPlannerOverlay() {
-    const overlay = $(APP.selectors.plannerOverlay);
-    if (!overlay) return;
+    // Saved places: search via the provider's geocoder, save, reorder, remove
+    const selectCity = (cityId) => {
+      STATE.weather.cityId = cityId;
+      if (citySelect) citySelect.value = cityId;
+      persistWeatherSettings();
+      renderWeatherFromCacheOrFetch();
+    };
 
-    const form = qsIn(overlay, "form[data-planner]", "form", ".planner__form form");
-    const output = qsIn(overlay, ".itinerary", "[data-itinerary]");
-    const empty = qsIn(overlay, ".itinerary__empty", "[data-itinerary-empty]");
-    const copyBtn = qsIn(overlay, "[data-itinerary-copy]");
-    const clearBtn = qsIn(overlay, "[data-itinerary-clear]");
-    const printBtn = qsIn(overlay, "[data-itinerary-print]");
+    const renderSavedList = () => {
+      if (!savedList) return;
+      const saved = STATE.weather.saved;
+      if (!saved.length) {
+        savedList.innerHTML = `<li class="weather-places__empty muted">No saved places yet. Search above to add one.</li>`;
+        return;
+      }
+      savedList.innerHTML = saved
+        .map((p, i) => `
+          <li class="weather-places__item" data-place-id="${escapeHtml(p.id)}">
+            <button type="button" class="weather-places__name" data-place-action="select" title="Show weather">
+              <i class="ri-map-pin-line" aria-hidden="true"></i>
+              <span>${escapeHtml(p.name)}</span>
+              <small class="muted">${escapeHtml([p.region, p.country].filter(Boolean).join(", "))}</small>
+            </button>
+            <span class="weather-places__actions">
+              <button type="button" class="icon-btn" data-place-action="up" aria-label="Move ${escapeHtml(p.name)} up" ${i === 0 ? "disabled" : ""}><i class="ri-arrow-up-line" aria-hidden="true"></i></button>
+              <button type="button" class="icon-btn" data-place-action="down" aria-label="Move ${escapeHtml(p.name)} down" ${i === saved.length - 1 ? "disabled" : ""}><i class="ri-arrow-down-line" aria-hidden="true"></i></button>
+              <button type="button" class="icon-btn" data-place-action="remove" aria-label="Remove ${escapeHtml(p.name)}"><i class="ri-delete-bin-line" aria-hidden="true"></i></button>
+            </span>
+          </li>
+        `)
+        .join("");
+    };
+
+    const savedChanged = () => {
+      persistSavedCities();
+      renderSavedList();
+      // Removing a place can free a slot for the current search hits
+      if (placeHits.length) renderPlaceHits();
+      renderCityOptions();
+      if (!isHidden(overlay)) renderComparison();
+    };
+
+    let placeHits = [];
+    let placeRequest = null;
+
+    const renderPlaceHits = (message) => {
+      if (!placeResults) return;
+      if (message) {
+        placeResults.innerHTML = `<li class="weather-places__empty muted">${escapeHtml(message)}</li>`;
+        return;
+      }
+      const taken = new Set(getWeatherCities().map((c) => c.id));
+      // A full list blocks saving rather than dropping an older place
+      const full = STATE.weather.saved.length >= APP.weather.savedMax;
+      const note = full
+        ? `<li class="weather-places__empty muted">Your saved places list is full (${APP.weather.savedMax}). Remove one below to save another.</li>`
+        : "";
+      placeResults.innerHTML = note + placeHits
+        .map((p, i) => `
+          <li class="weather-places__item">
+            <span class="weather-places__name">
+              <span>${escapeHtml(p.name)}</span>
+              <small class="muted">${escapeHtml([p.region, p.country].filter(Boolean).join(", "))} • ${formatNumber(p.lat, 2)}, ${formatNumber(p.lon, 2)}</small>
+            </span>
+            <button type="button" class="cta-btn cta-btn--glass" data-place-save="${i}" ${taken.has(p.id) || full ? "disabled" : ""}>
+              <i class="ri-bookmark-line" aria-hidden="true"></i>
+              <span>${taken.has(p.id) ? "Saved" : full ? "List full" : "Save"}</span>
+            </button>
+          </li>
+        `)
+        .join("");
+    };
+
+    const searchPlaces = async (query) => {
+      const q = String(query || "").trim();
+      if (placeRequest) placeRequest.abort();
+      if (q.length < 2) {
+        placeHits = [];
+        renderPlaceHits("Type at least two letters.");
+        return;
+      }
+      const controller = new AbortController();
+      placeRequest = controller;
+      renderPlaceHits("Searching…");
+      try {
+        const provider = getWeatherProvider();
+        if (typeof provider.searchPlaces !== "function") throw new Error("This weather provider cannot search places");
+        const hits = await fetchWithRetry((signal) => provider.searchPlaces(q, { signal }), { signal: controller.signal });
+        if (placeRequest !== controller) return;
+        placeHits = hits;
+        renderPlaceHits(hits.length ? "" : `No places found for “${q}”.`);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        renderPlaceHits(`Place search failed • ${err instanceof Error ? err.message : String(err)}`);
+      }
+    };
+
+    if (placeForm) {
+      placeForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        searchPlaces(placeInput ? placeInput.value : "");
+      });
+    }
+
+    if (placeResults) {
+      placeResults.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-place-save]");
+        if (!btn) return;
+        const place = placeHits[Number(btn.getAttribute("data-place-save"))];
+        if (!place || getWeatherCities().some((c) => c.id === place.id)) return;
+        if (STATE.weather.saved.length >= APP.weather.savedMax) {
+          renderPlaceHits();
+          return;
+        }
+        STATE.weather.saved = STATE.weather.saved.concat(place);
+        savedChanged();
+        renderPlaceHits();
+        selectCity(place.id);
+      });
+    }
+
+    if (savedList) {
+      savedList.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-place-action]");
+        const item = btn ? btn.closest("[data-place-id]") : null;
+        if (!item) return;
+        const id = item.getAttribute("data-place-id");
+        const saved = STATE.weather.saved.slice();
+        const idx = saved.findIndex((p) => p.id === id);
+        if (idx < 0) return;
+        const action = btn.getAttribute("data-place-action");
+
+        if (action === "select") {
+          selectCity(id);
+          return;
+        }
+        if (action === "remove") {
+          saved.splice(idx, 1);
+          STATE.weather.saved = saved;
+          savedChanged();
+          renderPlaceHits();
+          if (STATE.weather.cityId === id) selectCity(APP.cities[0].id);
+          return;
+        }
+        const to = action === "up" ? idx - 1 : idx + 1;
+        if (to < 0 || to >= saved.length) return;
+        [saved[idx], saved[to]] = [saved[to], saved[idx]];
+        STATE.weather.saved = saved;
+        savedChanged();
+        const again = qsIn(savedList, `[data-place-id="${id}"] [data-place-action="${action}"]`);
+        if (again && !again.disabled) again.focus();
+      });
+    }
+
+    renderSavedList();
+
+    // Open overlay triggers should load weather
+    document.addEventListener("kurdistan:overlay:open", (e) => {
+      if (!e.detail) return;
+      const id = overlay.id || null;
+      if (id && e.detail.id !== id) return;
+      renderWeatherFromCacheOrFetch();
+      renderComparison();
+    });
+
+    // Coming back online: revalidate whatever is on screen
+    window.addEventListener("online", () => {
+      if (!isHidden(overlay) && STATE.weather.lastError) renderWeatherFromCacheOrFetch({ force: true });
+    });
+
+    // Also expose for other UI
+    window.__kurdistanWeatherRefresh = () => renderWeatherFromCacheOrFetch({ force: true });
+    window.__kurdistanWeatherOpen = (cityId) => {
+      if (cityId && getWeatherCities().some((c) => c.id === cityId)) {
+        STATE.weather.cityId = cityId;
+        if (citySelect) citySelect.value = cityId;
+        persistWeatherSettings();
+      }
+      openOverlay(overlay);
+    };
+    window.__kurdistanWeatherUnits = (next) => applyUnitPrefs(next);
+
+    // If overlay is already visible at load (edge case), render
+    if (!isHidden(overlay)) {
+      renderWeatherFromCacheOrFetch();
+      renderComparison();
+    } else {
+      // Surface alerts from the last saved forecast without a network request
+      const saved = fromCache();
+      if (saved) updateAlerts(saved.data);
+    }
+  }
+
+  // Weather providers: each adapter fetches for a city and returns the same normalized model
+  // { source, timezone, units, current, hourly[], daily[] }, so rendering never touches a provider's
+  // response shape. `units` names the unit of each measure in the data (pressure is always hPa).
+  // Select with APP.weather.provider or ?weatherProvider=fixture.
+  function openMeteoUnits(json) {
+    const u = { ...(json && json.daily_units), ...(json && json.hourly_units), ...(json && json.current_units) };
+    const temp = u.temperature_2m || u.temperature_2m_max;
+    const wind = u.wind_speed_10m;
+    const precip = u.precipitation || u.precipitation_sum;
+    return {
+      temperature: temp === "°F" ? "fahrenheit" : "celsius",
+      wind: { "mp/h": "mph", mph: "mph", "m/s": "ms", kn: "kn" }[wind] || "kmh",
+      precipitation: precip === "inch" ? "inch" : "mm",
+      pressure: "hPa",
+    };
+  }
+
+  function normalizeOpenMeteo(json, source = "open-meteo") {
+    const zip = (block, map) => {
+      if (!block || !Array.isArray(block.time)) return [];
+      return block.time.map((time, i) => {
+        const row = { time };
+        Object.entries(map).forEach(([key, col]) => {
+          const arr = block[col];
+          row[key] = Array.isArray(arr) && arr[i] != null ? arr[i] : null;
+        });
+        return row;
+      });
+    };
+    const c = json && json.current ? json.current : {};
+
+    return {
+      source,
+      timezone: (json && json.timezone) || null,
+      units: openMeteoUnits(json),
+      current: {
+        time: c.time || null,
+        temperature: c.temperature_2m ?? null,
+        apparentTemperature: c.apparent_temperature ?? null,
+        humidity: c.relative_humidity_2m ?? null,
+        weatherCode: c.weather_code ?? null,
+        windSpeed: c.wind_speed_10m ?? null,
+        precipitation: c.precipitation ?? null,
+        pressure: c.pressure_msl ?? null,
+      },
+      hourly: zip(json && json.hourly, {
+        temperature: "temperature_2m",
+        weatherCode: "weather_code",
+        windSpeed: "wind_speed_10m",
+        windDirection: "wind_direction_10m",
+        humidity: "relative_humidity_2m",
+        precipProbability: "precipitation_probability",
+        precipitation: "precipitation",
+      }),
+      daily: zip(json && json.daily, {
+        weatherCode: "weather_code",
+        tempMax: "temperature_2m_max",
+        tempMin: "temperature_2m_min",
+        precipProbability: "precipitation_probability_max",
+        precipSum: "precipitation_sum",
+        sunrise: "sunrise",
+        sunset: "sunset",
+        uvIndexMax: "uv_index_max",
+      }).map(({ time, ...rest }) => ({ date: time, ...rest })),
+    };
+  }
+
+  // Runs the alert rules over a forecast model. Each rule fires at most once, reporting its first
+  // matching time and the most extreme value seen (metric): [{ id, severity, label, advice, time, value, unit }]
+  function evaluateWeatherAlerts(model, rules = APP.weather.alerts.rules) {
+    if (!model) return [];
+    const points = []
+      .concat(model.current ? [model.current] : [])
+      .concat((model.hourly || []).slice(0, APP.weather.alerts.horizonHours))
+      .concat((model.daily || []).map((d) => ({ ...d, time: d.date })));
+
+    const metric = APP.weather.units.presets.metric;
+    const units = model.units || metric;
+
+    return rules
+      .map((rule) => {
+        let first = null;
+        let peak = null;
+        points.forEach((pt) => {
+          if (rule.codes && rule.codes.includes(pt.weatherCode)) {
+            if (!first) first = pt;
+            return;
+          }
+          (rule.metrics || []).forEach((m) => {
+            const v = convertMeasure(rule.unit, pt[m], units[rule.unit], metric[rule.unit]);
+            if (v === null) return;
+            const hit = (rule.above !== undefined && v > rule.above) || (rule.below !== undefined && v < rule.below);
+            if (!hit) return;
+            if (!first) first = pt;
+            if (peak === null || (rule.below !== undefined ? v < peak : v > peak)) peak = v;
+          });
+        });
+        if (!first) return null;
+        return { id: rule.id, severity: rule.severity, label: rule.label, advice: rule.advice, time: first.time || null, value: peak, unit: rule.unit || null };
+      })
+      .filter(Boolean);
+  }
+
+  // Climate model: { kind, source, period, units, months: [{ tempMax, tempMin, precipSum, sunshineHours }] × 12 }
+  // (precipitation per month, sunshine hours per day), January first.
+  function summarizeOpenMeteoClimate(json, period = "") {
+    const d = json && json.daily ? json.daily : {};
+    const times = Array.isArray(d.time) ? d.time : [];
+    const acc = Array.from({ length: 12 }, () => ({ max: [], min: [], sun: [], rain: {} }));
+
+    times.forEach((t, i) => {
+      const [year, month] = String(t).split("-").map(Number);
+      const m = acc[month - 1];
+      if (!m) return;
+      const push = (arr, v) => typeof v === "number" && arr.push(v);
+      push(m.max, d.temperature_2m_max && d.temperature_2m_max[i]);
+      push(m.min, d.temperature_2m_min && d.temperature_2m_min[i]);
+      push(m.sun, d.sunshine_duration && d.sunshine_duration[i]);
+      const p = d.precipitation_sum && d.precipitation_sum[i];
+      if (typeof p === "number") m.rain[year] = (m.rain[year] || 0) + p;
+    });
+
+    const avg = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null);
+    return {
+      kind: "climate",
+      source: "open-meteo",
+      period,
+      units: openMeteoUnits(json),
+      months: acc.map((m) => {
+        const sun = avg(m.sun);
+        return {
+          tempMax: avg(m.max),
+          tempMin: avg(m.min),
+          precipSum: avg(Object.values(m.rain)),
+          sunshineHours: sun === null ? null : sun / 3600,
+        };
+      }),
+    };
+  }
+
+  function climateFromDataset(dataset, city) {
+    const entry = dataset && dataset.cities ? dataset.cities[city.id] : null;
+    if (!entry) return null;
+    const at = (key, i) => (Array.isArray(entry[key]) && typeof entry[key][i] === "number" ? entry[key][i] : null);
+    return {
+      kind: "climate",
+      source: "dataset",
+      period: "1991–2020 normals",
+      units: { ...APP.weather.units.presets.metric },
+      months: Array.from({ length: 12 }, (_, i) => ({
+        tempMax: at("tempMax", i),
+        tempMin: at("tempMin", i),
+        precipSum: at("precipSum", i),
+        sunshineHours: at("sunshineHours", i),
+      })),
+    };
+  }
+
+  // Adds { score, recommended } to each month using APP.weather.climate (thresholds are metric)
+  function scoreClimateMonths(months, units = APP.weather.units.presets.metric) {
+    const cfg = APP.weather.climate;
+    return months.map((m) => {
+      const high = convertMeasure("temperature", m.tempMax, units.temperature, "celsius");
+      const precip = convertMeasure("precipitation", m.precipSum, units.precipitation, "mm");
+      let temp = 0;
+      if (high !== null) {
+        const off = high < cfg.comfort.min ? cfg.comfort.min - high : Math.max(0, high - cfg.comfort.max);
+        temp = clamp(1 - off / cfg.comfort.falloff, 0, 1);
+      }
+      const rain = precip !== null ? clamp(1 - precip / cfg.wetMm, 0, 1) : 0.5;
+      const sun = typeof m.sunshineHours === "number" ? clamp(m.sunshineHours / cfg.sunnyHours, 0, 1) : 0.5;
+      const score = temp * cfg.weights.temp + rain * cfg.weights.rain + sun * cfg.weights.sun;
+      return { ...m, score, recommended: score >= cfg.windowScore };
+    });
+  }
+
+  // [false, false, true, true, …] → "Mar–Apr, Oct"; runs may wrap from December into January
+  function describeMonthRuns(flags, nameOf) {
+    if (flags.every(Boolean)) return "all year";
+    const start = flags.findIndex((f) => !f);
+    const runs = [];
+    let run = null;
+    for (let k = 1; k <= 12; k++) {
+      const i = (start + k) % 12;
+      if (flags[i]) {
+        if (!run) run = { from: i, to: i };
+        else run.to = i;
+      } else if (run) {
+        runs.push(run);
+        run = null;
+      }
+    }
+    return runs.map((r) => (r.from === r.to ? nameOf(r.from) : `${nameOf(r.from)}–${nameOf(r.to)}`)).join(", ");
+  }
+
+  // Air-quality model: { kind, source, time, aqi, pm25, pm10, dust, uvIndex, pollen } (µg/m³, grains/m³)
+  function normalizeOpenMeteoAirQuality(json, source = "open-meteo") {
+    const c = json && json.current ? json.current : {};
+    const num = (v) => (typeof v === "number" ? v : null);
+    return {
+      kind: "air-quality",
+      source,
+      time: c.time || null,
+      aqi: num(c.us_aqi),
+      pm25: num(c.pm2_5),
+      pm10: num(c.pm10),
+      dust: num(c.dust),
+      uvIndex: num(c.uv_index),
+      // Pollen is only modelled for Europe; elsewhere these stay null and the row is hidden
+      pollen: { Grass: num(c.grass_pollen), Birch: num(c.birch_pollen), Olive: num(c.olive_pollen) },
+    };
+  }
+
+  // Open-Meteo geocoding → saved-place shape; ids are prefixed so they never collide with APP.cities
+  function normalizeGeocoding(json) {
+    const results = json && Array.isArray(json.results) ? json.results : [];
+    return results
+      .filter((r) => r && r.name && Number.isFinite(r.latitude) && Number.isFinite(r.longitude))
+      .map((r) => ({
+        id: `place-${r.id || `${r.latitude.toFixed(3)}_${r.longitude.toFixed(3)}`}`,
+        name: String(r.name),
+        region: r.admin1 ? String(r.admin1) : "",
+        country: r.country ? String(r.country) : "",
+        lat: r.latitude,
+        lon: r.longitude,
+        timezone: r.timezone ? String(r.timezone) : "",
+        aliases: Array.isArray(r.aliases) ? r.aliases.map(String) : [],
+      }));
+  }
+
+  async function fetchWeatherJson(url, { signal } = {}) {
+    const res = await fetch(url, { method: "GET", headers: { "Accept": "application/json" }, signal });
+    if (!res.ok) {
+      const err = new Error(`Weather request failed (${res.status})`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.json();
+  }
+
+  // Runs task(signal) with a per-attempt timeout, retrying network errors, timeouts, 408/429 and 5xx.
+  // Aborting the outer signal cancels the current attempt and any pending backoff.
+  async function fetchWithRetry(task, { signal, onRetry, retries = APP.weather.retries, baseMs = APP.weather.retryBaseMs, timeoutMs = APP.weather.timeoutMs } = {}) {
+    const abortError = () => new DOMException("Weather request was cancelled", "AbortError");
+    // fetch() rejects with a TypeError when the network fails; parse errors, aborts and other
+    // failures would only fail again
+    const isTransient = (err) =>
+      !!err && (err.name === "TimeoutError" || err.name === "TypeError" || err.status === 408 || err.status === 429 || err.status >= 500);
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal && signal.aborted) throw abortError();
+
+      const attemptCtrl = new AbortController();
+      const cancel = () => attemptCtrl.abort();
+      const timer = setTimeout(cancel, timeoutMs);
+      if (signal) signal.addEventListener("abort", cancel, { once: true });
+
+      try {
+        return await task(attemptCtrl.signal);
+      } catch (err) {
+        if (signal && signal.aborted) throw abortError();
+        const timedOut = attemptCtrl.signal.aborted;
+        const error = timedOut ? new Error(`Weather request timed out after ${Math.round(timeoutMs / 1000)}s`) : err;
+        if (timedOut) error.name = "TimeoutError";
+        if (attempt >= retries || !isTransient(error)) throw error;
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", cancel);
+      }
+
+      if (onRetry) onRetry(attempt + 1, retries);
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(wait);
+          reject(abortError());
+        };
+        const wait = setTimeout(() => {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve();
+        }, baseMs * 2 ** attempt);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+  }
+
+  function createOpenMeteoProvider() {
+    return {
+      name: "open-meteo",
+      attribution: "Powered by Open-Meteo • No API key required",
+      async fetchForecast(city, { signal, units } = {}) {
+        return normalizeOpenMeteo(await fetchWeatherJson(this.buildUrl([city], units), { signal }));
+      },
+      // Open-Meteo takes comma-separated coordinates and answers with an array in the same order
+      async fetchForecastBatch(cities, { signal, units } = {}) {
+        const json = await fetchWeatherJson(this.buildUrl(cities, units), { signal });
+        return (Array.isArray(json) ? json : [json]).map((item) => normalizeOpenMeteo(item));
+      },
+      async searchPlaces(query, { signal } = {}) {
+        const params = new URLSearchParams({ name: query, count: String(APP.weather.geocodeCount), language: "en", format: "json" });
+        const json = await fetchWeatherJson(`${APP.weather.geocodeBase}?${params.toString()}`, { signal });
+        return normalizeGeocoding(json);
+      },
+      async fetchAirQuality(city, { signal } = {}) {
+        const params = new URLSearchParams({
+          latitude: String(city.lat),
+          longitude: String(city.lon),
+          current: APP.weather.params.airQuality,
+          timezone: APP.weather.params.timezone,
+        });
+        return normalizeOpenMeteoAirQuality(await fetchWeatherJson(`${APP.weather.airQualityBase}?${params.toString()}`, { signal }));
+      },
+      // Averages the last `climate.years` full calendar years of daily history into monthly normals
+      async fetchClimate(city, { signal, units } = {}) {
+        const endYear = new Date().getFullYear() - 1;
+        const startYear = endYear - APP.weather.climate.years + 1;
+        const params = new URLSearchParams({
+          latitude: String(city.lat),
+          longitude: String(city.lon),
+          start_date: `${startYear}-01-01`,
+          end_date: `${endYear}-12-31`,
+          daily: APP.weather.params.climate,
+          timezone: APP.weather.params.timezone,
+          ...openMeteoUnitParams(units),
+        });
+        const json = await fetchWeatherJson(`${APP.weather.climateBase}?${params.toString()}`, { signal });
+        return summarizeOpenMeteoClimate(json, `${startYear}–${endYear} average`);
+      },
+      buildUrl(cities, units) {
+        const p = APP.weather.params;
+        const params = new URLSearchParams({
+          latitude: cities.map((c) => c.lat).join(","),
+          longitude: cities.map((c) => c.lon).join(","),
+          current: p.current,
+          hourly: p.hourly,
+          daily: p.daily,
+          timezone: p.timezone,
+          forecast_hours: String(p.forecast_hours),
+          forecast_days: String(p.forecast_days),
+          ...openMeteoUnitParams(units),
+        });
+        return `${APP.weather.base}?${params.toString()}`;
+      },
+    };
+  }
+
+  // Serves recorded Open-Meteo JSON for offline development and demos. The file (or local stand-in
+  // server) may return one recorded response, or an object keyed by city id with an optional "default".
+  // A "{city}" placeholder in the URL is replaced with the city id for per-city endpoints.
+  function createFixtureProvider(url = APP.weather.fixtureUrl) {
+    return {
+      name: "fixture",
+      attribution: "Recorded fixture data • Offline demo mode",
+      async fetchForecast(city, { signal } = {}) {
+        const json = await fetchWeatherJson(String(url).replaceAll("{city}", encodeURIComponent(city.id)), { signal });
+        const recorded = json && (json.current || json.hourly) ? json : json && (json[city.id] || json.default);
+        if (!recorded) throw new Error(`No recorded weather for ${city.name}`);
+        return normalizeOpenMeteo(recorded, "fixture");
+      },
+      async fetchAirQuality(city, { signal } = {}) {
+        const json = await fetchWeatherJson(String(APP.weather.airQualityFixtureUrl).replaceAll("{city}", encodeURIComponent(city.id)), { signal });
+        const recorded = json && json.current ? json : json && (json[city.id] || json.default);
+        if (!recorded) throw new Error(`No recorded air quality for ${city.name}`);
+        return normalizeOpenMeteoAirQuality(recorded, "fixture");
+      },
+      async fetchClimate(city, { signal } = {}) {
+        const climate = climateFromDataset(await fetchWeatherJson(APP.weather.climateDatasetUrl, { signal }), city);
+        if (!climate) throw new Error(`No climate normals for ${city.name}`);
+        return climate;
+      },
+      // Filters one recorded geocoding response the way the live API matches names
+      async searchPlaces(query, { signal } = {}) {
+        const places = normalizeGeocoding(await fetchWeatherJson(APP.weather.geocodeFixtureUrl, { signal }));
+        const q = normalizeSearchText(query);
+        return places.filter((p) => normalizeSearchText(`${p.name} ${p.aliases.join(" ")}`).includes(q)).slice(0, APP.weather.geocodeCount);
+      },
+    };
+  }
+
+  // Native-unit request params; omitted units fall back to Open-Meteo's metric defaults
+  function openMeteoUnitParams(units) {
+    if (!units) return {};
+    const m = APP.weather.units.measures;
+    const out = {};
+    if (m.temperature[units.temperature]) out.temperature_unit = m.temperature[units.temperature].openMeteo;
+    if (m.wind[units.wind]) out.wind_speed_unit = m.wind[units.wind].openMeteo;
+    if (m.precipitation[units.precipitation]) out.precipitation_unit = m.precipitation[units.precipitation].openMeteo;
+    return out;
+  }
+
+  // One request for many cities when the provider supports it, else one request per city
+  function fetchWeatherBatch(cities, { signal, units } = {}) {
+    const provider = getWeatherProvider();
+    if (typeof provider.fetchForecastBatch === "function") return provider.fetchForecastBatch(cities, { signal, units });
+    return Promise.all(cities.map((city) => provider.fetchForecast(city, { signal, units })));
+  }
+
+  function registerWeatherProvider(name, provider) {
+    if (!name || !provider || typeof provider.fetchForecast !== "function") return false;
+    STATE.weather.providers[name] = { name, attribution: "", ...provider };
+    return true;
+  }
+
+  function getWeatherProvider() {
+    const reg = STATE.weather.providers;
+    if (!reg["open-meteo"]) registerWeatherProvider("open-meteo", createOpenMeteoProvider());
+    if (!reg.fixture) registerWeatherProvider("fixture", createFixtureProvider());
+
+    let requested = APP.weather.provider;
+    try {
+      requested = new URLSearchParams(location.search).get("weatherProvider") || requested;
+    } catch {}
+    return reg[requested] || reg["open-meteo"];
+  }
+
+  // Solar day for a city, computed locally (sunrise equation, accurate to about a minute).
+  // `date` is the city's calendar date ("YYYY-MM-DD" or a Date read in the city's time zone).
+  // Returns instants as Dates, or null for events that do not happen that day (polar day/night):
+  // { date, timeZone, solarNoon, sunrise, sunset, civilDawn, civilDusk, dayLengthMin,
+  //   golden: { morning: { start, end }, evening }, blue: { morning, evening } }
+  function computeSolarDay(city, date = new Date()) {
+    const timeZone = cityTimeZone(city);
+    const ymd = typeof date === "string" ? date : cityLocalDate(timeZone, date);
+    const [y, m, d] = String(ymd).split("-").map(Number);
+    if (!city || !Number.isFinite(city.lat) || !Number.isFinite(city.lon) || !y || !m || !d) return null;
+
+    const rad = Math.PI / 180;
+    const toDate = (jd) => new Date((jd - 2440587.5) * 86400000);
+    const n = Math.round(Date.UTC(y, m - 1, d, 12) / 86400000 + 2440587.5 - 2451545 + 0.0008);
+    const jStar = n - city.lon / 360;
+    const M = (357.5291 + 0.98560028 * jStar) % 360;
+    const C = 1.9148 * Math.sin(M * rad) + 0.02 * Math.sin(2 * M * rad) + 0.0003 * Math.sin(3 * M * rad);
+    const lambda = (M + C + 180 + 102.9372) % 360;
+    const transit = 2451545 + jStar + 0.0053 * Math.sin(M * rad) - 0.0069 * Math.sin(2 * lambda * rad);
+    const decl = Math.asin(Math.sin(lambda * rad) * Math.sin(23.4397 * rad));
+    const lat = city.lat * rad;
+
+    // [rising, setting] instants when the sun's centre crosses `elevation`
+    const crossing = (elevation) => {
+      const cosH = (Math.sin(elevation * rad) - Math.sin(lat) * Math.sin(decl)) / (Math.cos(lat) * Math.cos(decl));
+      if (cosH < -1 || cosH > 1) return [null, null];
+      const h = Math.acos(cosH) / rad / 360;
+      return [toDate(transit - h), toDate(transit + h)];
+    };
+
+    const cfg = APP.solar;
+    const [sunrise, sunset] = crossing(cfg.horizon);
+    const [goldenUp, goldenDown] = crossing(cfg.golden);
+    const [blueUp, blueDown] = crossing(cfg.blue);
+    const [civilDawn, civilDusk] = crossing(cfg.civil);
+
+    return {
+      date: ymd,
+      timeZone,
+      solarNoon: toDate(transit),
+      sunrise,
+      sunset,
+      civilDawn,
+      civilDusk,
+      dayLengthMin: sunrise && sunset ? Math.round((sunset - sunrise) / 60000) : null,
+      golden: { morning: { start: blueUp, end: goldenUp }, evening: { start: goldenDown, end: blueDown } },
+      blue: { morning: { start: civilDawn, end: blueUp }, evening: { start: blueDown, end: civilDusk } },
+    };
+  }
+
+  function cityTimeZone(city) {
+    return (city && city.timezone) || APP.solar.timezone;
+  }
+
+  // "YYYY-MM-DD" for an instant as seen in the city's time zone
+  function cityLocalDate(timeZone, at = new Date()) {
+    try {
+      return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(at);
+    } catch {
+      return at.toISOString().slice(0, 10);
+    }
+  }
+
+  // Minutes after midnight in the city's time zone
+  function cityMinutes(at, timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(at);
+      const get = (type) => Number((parts.find((p) => p.type === type) || {}).value);
+      return get("hour") * 60 + get("minute");
+    } catch {
+      return at.getHours() * 60 + at.getMinutes();
+    }
+  }
+
+  // Wall-clock time in the city, whatever the visitor's own time zone
+  function formatCityTime(at, timeZone) {
+    if (!(at instanceof Date) || Number.isNaN(at.getTime())) return "—";
+    try {
+      return at.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit", timeZone });
+    } catch {
+      return formatTimeShort(at);
+    }
+  }
+
+  /* -----------------------------
+     10c) Planner Overlay (simple itinerary builder)
+  ------------------------------ */
+  function initPlannerOverlay() {
+    const overlay = $(APP.selectors.plannerOverlay);
+    if (!overlay) return;
+
+    const form = qsIn(overlay, "form[data-planner]", "form", ".planner__form form");
+    const output = qsIn(overlay, ".itinerary", "[data-itinerary]");
+    const empty = qsIn(overlay, ".itinerary__empty", "[data-itinerary-empty]");
+    const copyBtn = qsIn(overlay, "[data-itinerary-copy]", "#itineraryCopy");
+    const clearBtn = qsIn(overlay, "[data-itinerary-clear]");
+    const printBtn = qsIn(overlay, "[data-itinerary-print]", "#itineraryPrint");
+    const downloadBtn = qsIn(overlay, "[data-itinerary-download]", "#itineraryDownload");
+    const startInput = form && form.elements ? form.elements[APP.planner.fields.startDate.name] : null;
+    const saveBtn = qsIn(overlay, "[data-itinerary-save]", "#itinerarySave");
+    const libraryList = qsIn(overlay, "[data-itinerary-library]");
+    const libraryCount = qsIn(overlay, "[data-itinerary-library-count]");
+    const exportMenu = qsIn(overlay, "[data-itinerary-export-menu]", "#itineraryExportMenu");
+    const shareBtn = qsIn(overlay, "[data-itinerary-share]", "#itineraryShare");
     const status = qsIn(overlay, "[data-itinerary-status]", ".planner__note", "[data-status]");
+    const stopsList = qsIn(form, "[data-stops-list]");
+    const stopAddBtn = qsIn(form, "[data-stop-add]");
+    const stopsSummary = qsIn(form, "[data-stops-summary]");
+
+    // Start on today (Kurdistan time); as the default value it also survives a form reset
+    if (startInput && !startInput.value) startInput.defaultValue = cityLocalDate(APP.solar.timezone);
+
+    // Every built-in city or town can be the base of a trip, not just the ones listed in the markup
+    const citySelect = form && form.elements ? form.elements[APP.planner.fields.cityId.name] : null;
+    if (citySelect instanceof HTMLSelectElement) {
+      getTripCities().forEach((c) => {
+        if (!$$("option", citySelect).some((o) => o.value === c.id)) citySelect.appendChild(new Option(c.name, c.id));
+      });
+    }
+
+    // "Erbil (Hewlêr)" → "Erbil"
+    const short = (name) => name.split("(")[0].trim() || name;
+    const describeLongLegs = (legs) => legs
+      .filter((l) => l.tooLong)
+      .map((l) => `${short(l.fromName)} → ${short(l.toName)} (${formatDriveTime(l.minutes)})`)
+      .join(", ");
+
+    // Reads and validates the form, then composes the itinerary. Returns { itinerary, errors }.
+    const buildItinerary = () => {
+      const { values, errors } = readFormFields(form, APP.planner.fields);
+      errors.push(...checkRoute(values));
+      return { itinerary: errors.length ? null : composeItinerary(values), errors };
+    };
+
+    const findPlace = (id) => getPlannerPlaces().find((c) => c.id === id) || null;
+
+    // Ordered stops [{ place, nights }]: the base city first, with the days the later stops leave over
+    const routeOf = (values, base = findPlace(values.cityId) || APP.cities[0]) => {
+      const extra = (values.stops || [])
+        .map((id, i) => ({ place: findPlace(id), nights: values.stopNights[i] }))
+        .filter((s) => s.place && s.nights > 0);
+      const stayed = extra.reduce((sum, s) => sum + s.nights, 0);
+      return [{ place: base, nights: Math.max(1, values.days - stayed) }].concat(extra);
+    };
+
+    // Cross-field checks the field map cannot express
+    const checkRoute = (values) => {
+      const stops = values.stops || [];
+      const errors = [];
+      const nights = (values.stopNights || []).reduce((sum, n) => sum + n, 0);
+      if (stops.length > APP.planner.road.maxStops) {
+        errors.push({ key: "stops", name: APP.planner.fields.stops.name, message: `Stops: plan at most ${APP.planner.road.maxStops}` });
+      } else if (stops.some((id, i) => id === (i ? stops[i - 1] : values.cityId))) {
+        errors.push({ key: "stops", name: APP.planner.fields.stops.name, message: "Stops: pick a different city from the one before" });
+      }
+      if (stops.length && nights >= values.days) {
+        errors.push({
+          key: "days",
+          name: APP.planner.fields.days.name,
+          message: `Trip length: the stops take ${nights} night${nights > 1 ? "s" : ""}, leave at least one day for the base city`,
+        });
+      }
+      return errors;
+    };
+
+    // Itinerary model for validated planner values: { version, createdAt, trip, days[] } where each day
+    // is { day, date, cityId, cityName, slots: [{ id, label, time, activities: [{ text, light?, drive? }] }],
+    // tips[] }. `light` holds ISO instants of the evening golden/blue hour for photo slots; `drive` is
+    // the road leg behind a travel slot. trip.stops and trip.legs describe the route. Slot and tip
+    // text can be edited by hand afterwards, see finishEdit().
+    const composeItinerary = (values, placeOverride = null) => {
+      const place = placeOverride || findPlace(values.cityId) || APP.cities[0];
+      const timeZone = cityTimeZone(place);
+      const interests = values.interests.map((id) => {
+        const input = form ? $$(`input[name="${APP.planner.fields.interests.name}"]`, form).find((el) => el.value === id) : null;
+        const label = input && input.closest("label") ? input.closest("label").textContent.replace(/\s+/g, " ").trim() : id;
+        return { id, label };
+      });
+
+      const route = routeOf(values, place);
+      const legs = planRoadLegs(route, values.pace);
+
+      // Day dates count from the start date (default: today in the city); photo evenings get that
+      // day's golden and blue hour
+      const startDate = values.startDate || cityLocalDate(timeZone);
+      const [y, m, d] = startDate.split("-").map(Number);
+      const dateOf = (i) => new Date(Date.UTC(y, m - 1, d + i)).toISOString().slice(0, 10);
+      const minutesOf = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+      const clockOf = (min) => `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+      const lightOn = (stop, date) => {
+        const sun = computeSolarDay(stop, date);
+        if (!sun || !sun.golden.evening.start || !sun.blue.evening.end) return null;
+        return {
+          goldenStart: sun.golden.evening.start.toISOString(),
+          goldenEnd: sun.golden.evening.end.toISOString(),
+          blueEnd: sun.blue.evening.end.toISOString(),
+        };
+      };
+
+      const days = [];
+      route.forEach((stop, s) => {
+        const suggestions = makeSuggestions(short(stop.place.name), values.interests, values.pace, values.notes);
+        const leg = s ? legs[s - 1] : null;
+        for (let n = 0; n < stop.nights; n++) {
+          const plan = suggestions[n % suggestions.length];
+          const date = dateOf(days.length);
+          const tips = [plan.tip];
+          let slots = APP.planner.slots.map((slot) => {
+            const activity = { text: plan[slot.id] };
+            if (slot.id === "evening" && plan.photo) {
+              const light = lightOn(stop.place, date);
+              if (light) activity.light = light;
+            }
+            return { ...slot, activities: [activity] };
+          });
+
+          // The drive to a new stop leaves before the morning of its first day. Later slots start on
+          // arrival at the earliest; one left with less than an hour before the next is dropped.
+          if (leg && !n) {
+            leg.day = days.length + 1;
+            const drive = `Drive ${short(route[s - 1].place.name)} → ${short(stop.place.name)}: about ${leg.roadKm} km by road, roughly ${formatDriveTime(leg.minutes)}.`;
+            const arrival = Math.min(Math.ceil((minutesOf(APP.planner.road.slot.time) + leg.minutes) / 15) * 15, 24 * 60 - 15);
+            const after = slots
+              .map((slot) => ({ ...slot, time: clockOf(Math.max(arrival, minutesOf(slot.time))) }))
+              .filter((slot, i, all) => !all[i + 1] || minutesOf(all[i + 1].time) - minutesOf(slot.time) >= 60);
+            slots = [{ ...APP.planner.road.slot, activities: [{ text: drive, drive: leg }] }].concat(after);
+            if (leg.tooLong) {
+              tips.unshift(`Long drive for a ${(APP.planner.paces[values.pace] || values.pace).toLowerCase()} pace: consider an extra stop on the way, another night before it or a faster pace.`);
+            }
+          }
+          days.push({ day: days.length + 1, date, cityId: stop.place.id, cityName: stop.place.name, slots, tips });
+        }
+      });
+
+      const multi = route.length > 1;
+      return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        trip: {
+          title: multi ? `Kurdistan Road Trip — ${route.map((r) => short(r.place.name)).join(" → ")}` : `Kurdistan Trip Plan — ${place.name}`,
+          cityId: place.id,
+          cityName: place.name,
+          location: { lat: place.lat, lon: place.lon },
+          timeZone,
+          startDate,
+          days: days.length,
+          pace: values.pace,
+          paceLabel: APP.planner.paces[values.pace] || values.pace,
+          interests,
+          notes: values.notes,
+          stops: route.map((r) => ({
+            cityId: r.place.id,
+            cityName: r.place.name,
+            nights: r.nights,
+            location: { lat: r.place.lat, lon: r.place.lon },
+            timeZone: cityTimeZone(r.place),
+          })),
+          legs,
+        },
+        days,
+      };
+    };
+
+    const makeSuggestions = (city, interests, pace, notes = "") => {
+      // Free-text notes count too ("sunrise photography, easy hikes…"), matched as whole words (or
+      // plurals) so "start" or "instead" do not read as art and tea
+      const said = notes.toLowerCase();
+      const like = (k) => interests.some((x) => x.toLowerCase().includes(k)) || new RegExp(`\\b${k}s?\\b`).test(said);
+      const wantsNature = like("nature") || like("mountain") || like("waterfall") || like("hiking") || like("adventure");
+      const wantsHistory = like("history") || like("heritage") || like("museum") || like("archaeology");
+      const wantsFood = like("food") || like("cuisine") || like("market") || like("tea");
+      const wantsCulture = like("culture") || like("music") || like("festival") || like("art");
+      const wantsPhotography = like("photo") || like("photography") || like("sunset");
+
+      const paceFast = pace === "fast";
+      const paceRelaxed = pace === "slow";
+
+      const base = {
+        morning: `Start with a sunrise walk and a local breakfast in ${city}.`,
+        afternoon: `Visit a signature viewpoint and explore a nearby neighborhood.`,
+        evening: `Enjoy a calm café stop and a golden-hour stroll.`,
+        food: `Try traditional dishes and regional sweets; ask locals for the best spot.`,
+        tip: `Carry cash for small vendors and keep a light jacket for evening breeze.`,
+      };
+
+      const variants = [];
+
+      variants.push({
+        morning: wantsHistory
+          ? `Museum + old quarter: begin with a heritage museum or historic citadel area in ${city}.`
+          : `Local life: breakfast + traditional market walk to see daily rhythms in ${city}.`,
+        afternoon: wantsNature
+          ? `Nature escape: drive to a scenic area (valley, waterfall, or mountain viewpoint) near ${city}.`
+          : `City textures: architecture tour + artisan shops and craft streets in ${city}.`,
+        evening: wantsCulture
+          ? `Culture hour: attend a music venue, cultural center, or community gathering (if available).`
+          : `Sunset views: choose a rooftop or hilltop viewpoint for sunset in/near ${city}.`,
+        food: wantsFood
+          ? `Food route: sample kebab + dolma + local bread; finish with tea and seasonal fruit.`
+          : `Classic dinner: choose a well-reviewed family restaurant; try local appetizers + tea.`,
+        tip: paceFast
+          ? `Fast pace: pre-book drivers/taxis; group nearby spots to save time.`
+          : paceRelaxed
+          ? `Relaxed pace: keep one big highlight and leave space for spontaneous stops.`
+          : `Balanced pace: schedule a highlight, then leave 2–3 hours flexible.`,
+      });
+
+      variants.push({
+        morning: wantsNature
+          ? `Early nature: hike a short trail or visit a viewpoint before crowds (sunrise is best).`
+          : `City morning: coffee + a calm walk in a central park or promenade area.`,
+        afternoon: wantsHistory
+          ? `Heritage focus: guided walking tour or historic landmarks with local storytelling.`
+          : `Explore focus: neighborhood hopping + local markets for gifts and crafts.`,
+        evening: wantsPhotography
+          ? `Photo session: golden-hour shots, then night lights in the most iconic streets.`
+          : `Slow evening: tea house + live ambiance; keep it simple and restorative.`,
+        photo: wantsPhotography,
+        food: `Ask for the most famous dish in the city and order it “as locals eat it.”`,
+        tip: `Always confirm closing hours—some sites close early; keep ID and essentials secure.`,
+      });
+
+      variants.push({
+        morning: wantsCulture
+          ? `Culture morning: galleries, craft studios, or language/calligraphy showcases.`
+          : `Classic morning: relaxed breakfast, then a curated shortlist of must-see spots.`,
+        afternoon: wantsNature
+          ? `Scenic loop: valley drive + picnic viewpoint; keep water and snacks handy.`
+          : `Urban loop: iconic squares + cafés + shopping for handicrafts.`,
+        evening: `Dinner + stroll: choose a safe, lively area and enjoy the atmosphere.`,
+        food: `Dessert stop: look for local pastries and seasonal specialties.`,
+        tip: `Respect local customs and dress norms; people appreciate polite greetings.`,
+      });
+
+      // Strengthen with city-specific flavor (generic, safe suggestions)
+      const cityLower = city.toLowerCase();
+      const addCity = (s, c) => {
+        if (cityLower.includes("erbil") || cityLower.includes("hewl")) return s.replaceAll("nearby", "around Erbil").replaceAll("historic", "historic");
+        if (cityLower.includes("sulay") || cityLower.includes("sil")) return s.replaceAll("nearby", "around Sulaymaniyah");
+        if (cityLower.includes("duhok") || cityLower.includes("dih")) return s.replaceAll("nearby", "around Duhok");
+        if (cityLower.includes("halab")) return s.replaceAll("nearby", "around Halabja");
+        if (cityLower.includes("zakh")) return s.replaceAll("nearby", "around Zakho");
+        return s;
+      };
+
+      return variants.map((v) => ({
+        photo: !!v.photo,
+        morning: addCity(v.morning, city),
+        afternoon: addCity(v.afternoon, city),
+        evening: addCity(v.evening, city),
+        food: addCity(v.food, city),
+        tip: addCity(v.tip, city),
+      }));
+    };
+
+    // Day-by-day timeline cards built from the model
+    // Slot or tip being edited by hand, as "dayIndex:slotId" or "dayIndex:tip"
+    let editing = null;
+
+    const render = (itinerary) => {
+      if (!output) return;
+      const { trip } = itinerary;
+      const chips = [
+        `<span class="itinerary__chip"><i class="ri-map-pin-line" aria-hidden="true"></i>${escapeHtml(trip.cityName)}</span>`,
+        `<span class="itinerary__chip"><i class="ri-calendar-line" aria-hidden="true"></i>${trip.days} day${trip.days > 1 ? "s" : ""}</span>`,
+        `<span class="itinerary__chip"><i class="ri-speed-line" aria-hidden="true"></i>${escapeHtml(trip.paceLabel)}</span>`,
+      ].concat(trip.interests.map((i) => `<span class="itinerary__chip">${escapeHtml(i.label)}</span>`));
+
+      const editButton = (key, label) => `<button type="button" class="icon-btn itinerary__edit" data-itinerary-edit="${key}" aria-label="${escapeHtml(label)}"><i class="ri-edit-line" aria-hidden="true"></i></button>`;
+      const editor = (lines, label) => `<textarea class="field__textarea itinerary__editor" rows="${Math.max(2, lines.length)}" aria-label="${escapeHtml(label)}" data-itinerary-editor>${escapeHtml(lines.join("\n"))}</textarea>`;
+      const days = itinerary.days
+        .map((day, i) => `
+          <li class="itinerary-day">
+            <header class="itinerary-day__header">
+              <h4 class="itinerary-day__title">Day ${day.day}</h4>
+              <span class="muted">${escapeHtml(`${formatItineraryDate(day.date)}${itineraryDayPlace(trip, day)}`)}</span>
+            </header>
+            <ol class="itinerary-day__slots">
+              ${day.slots
+                .map((slot) => `
+                  <li class="itinerary-slot${slot.id === APP.planner.road.slot.id ? " itinerary-slot--travel" : ""}${slot.activities.some((a) => a.drive && a.drive.tooLong) ? " is-long" : ""}">
+                    <span class="itinerary-slot__time">${escapeHtml(slot.time)}</span>
+                    <div>
+                      <strong class="itinerary-slot__label">${escapeHtml(slot.label)}</strong>
+                      ${editing === `${i}:${slot.id}`
+                        ? editor(slot.activities.map((a) => a.text), `Day ${day.day} ${slot.label.toLowerCase()}, one activity per line`)
+                        : slot.activities
+                          .map((a) => `
+                            <p class="itinerary-slot__text">${escapeHtml(a.text)}</p>
+                            ${a.light ? `<p class="itinerary-slot__light"><i class="ri-camera-lens-line" aria-hidden="true"></i>${escapeHtml(describeItineraryLight(a.light, trip.timeZone))}</p>` : ""}
+                          `)
+                          .join("")}
+                    </div>
+                    ${editButton(`${i}:${slot.id}`, `Edit day ${day.day} ${slot.label.toLowerCase()}`)}
+                  </li>
+                `)
+                .join("")}
+            </ol>
+            <div class="itinerary-day__tips">
+              <div>
+                ${editing === `${i}:tip`
+                  ? editor(day.tips, `Day ${day.day} tips, one per line`)
+                  : day.tips.map((tip) => `<p class="itinerary-day__tip"><i class="ri-lightbulb-line" aria-hidden="true"></i>${escapeHtml(tip)}</p>`).join("")}
+              </div>
+              ${editButton(`${i}:tip`, `Edit day ${day.day} tips`)}
+            </div>
+          </li>
+        `)
+        .join("");
+
+      output.innerHTML = `
+        <div class="itinerary__summary">
+          <h4 class="itinerary__title">${escapeHtml(trip.title)}</h4>
+          <div class="itinerary__chips">${chips.join("")}</div>
+          ${describeItineraryRoute(trip) ? `<p class="itinerary__route"><i class="ri-route-line" aria-hidden="true"></i>${escapeHtml(describeItineraryRoute(trip))}</p>` : ""}
+          ${trip.notes ? `<p class="itinerary__notes muted">${escapeHtml(trip.notes)}</p>` : ""}
+        </div>
+        <ol class="itinerary__days">${days}</ol>
+      `;
+    };
+
+    // The empty state lives inside the output, so it is put back rather than re-created
+    const clear = () => {
+      if (!output) return;
+      editing = null;
+      STATE.planner.itinerary = null;
+      STATE.planner.activeId = null;
+      syncSaveButton();
+      renderLibrary();
+      if (empty) {
+        output.replaceChildren(empty);
+        setHidden(empty, false);
+      } else {
+        output.innerHTML = "";
+      }
+      if (status) status.textContent = "Fill the form and generate a tailored itinerary.";
+    };
+
+    const markInvalid = (errors) => {
+      Object.values(APP.planner.fields).forEach((f) => {
+        const el = form && form.elements ? form.elements[f.name] : null;
+        const list = el instanceof RadioNodeList ? Array.from(el) : el ? [el] : [];
+        const invalid = errors.some((e) => e.name === f.name);
+        list.forEach((x) => {
+          if (!("setAttribute" in x)) return;
+          if (invalid) x.setAttribute("aria-invalid", "true");
+          else x.removeAttribute("aria-invalid");
+        });
+      });
+    };
+
+    const copy = async () => {
+      if (!STATE.planner.itinerary) return;
+      const txt = itineraryToMarkdown(STATE.planner.itinerary);
+
+      try {
+        await navigator.clipboard.writeText(txt);
+        if (status) status.textContent = "Copied itinerary to clipboard.";
+      } catch {
+        // fallback: select via textarea
+        const ta = document.createElement("textarea");
+        ta.value = txt;
+        ta.style.position = "fixed";
+        ta.style.left = "-9999px";
+        document.body.appendChild(ta);
+        ta.select();
+        try {
+          document.execCommand("copy");
+          if (status) status.textContent = "Copied itinerary to clipboard.";
+        } catch {
+          if (status) status.textContent = "Could not copy. Select the text manually.";
+        } finally {
+          document.body.removeChild(ta);
+        }
+      }
+    };
+
+    const print = () => {
+      if (!STATE.planner.itinerary) return;
+      const w = window.open("", "_blank", "width=900,height=700");
+      if (!w) {
+        if (status) status.textContent = "Popup blocked. Please allow popups to print.";
+        return;
+      }
+      w.document.open();
+      w.document.write(itineraryToHtmlDocument(STATE.planner.itinerary, { autoPrint: true }));
+      w.document.close();
+    };
+
+    // Road-trip stop rows (city + nights); the summary under them previews the route and drive times
+    const stopRow = (cityId, nights) => {
+      const li = document.createElement("li");
+      li.className = "planner-stops__item";
+      const nightsMax = APP.planner.fields.stopNights.max;
+      li.innerHTML = `
+        <select class="field__select" name="${APP.planner.fields.stops.name}" data-stop-city>
+          ${getPlannerPlaces().map((c) => `<option value="${escapeHtml(c.id)}"${c.id === cityId ? " selected" : ""}>${escapeHtml(c.name)}</option>`).join("")}
+        </select>
+        <select class="field__select" name="${APP.planner.fields.stopNights.name}" data-stop-nights>
+          ${Array.from({ length: nightsMax }, (_, i) => i + 1).map((n) => `<option value="${n}"${n === nights ? " selected" : ""}>${n} night${n > 1 ? "s" : ""}</option>`).join("")}
+        </select>
+        <button type="button" class="icon-btn" data-stop-remove><i class="ri-close-line" aria-hidden="true"></i></button>
+      `;
+      return li;
+    };
+
+    const syncStops = () => {
+      if (!stopsList) return;
+      const rows = $$(".planner-stops__item", stopsList);
+      rows.forEach((row, i) => {
+        const n = i + 2; // the base city is stop 1
+        $("[data-stop-city]", row).setAttribute("aria-label", `Stop ${n} city`);
+        $("[data-stop-nights]", row).setAttribute("aria-label", `Nights at stop ${n}`);
+        $("[data-stop-remove]", row).setAttribute("aria-label", `Remove stop ${n}`);
+      });
+      if (stopAddBtn) stopAddBtn.disabled = rows.length >= APP.planner.road.maxStops;
+      if (!stopsSummary) return;
+      if (!rows.length) {
+        stopsSummary.textContent = "Staying in the base city. Add stops to drive on from there.";
+        return;
+      }
+      const { values, errors } = readFormFields(form, APP.planner.fields);
+      const problem = errors.concat(checkRoute(values)).find((e) => ["days", "stops", "stopNights"].includes(e.key));
+      if (problem) {
+        stopsSummary.textContent = `${problem.message}.`;
+        return;
+      }
+      const route = routeOf(values);
+      const legs = planRoadLegs(route, values.pace);
+      const long = describeLongLegs(legs);
+      const summary = describeItineraryRoute({ stops: route.map((r) => ({ cityName: r.place.name, nights: r.nights })), legs });
+      stopsSummary.textContent = `${summary}.${long ? ` Long for this pace: ${long}.` : ""}`;
+    };
+
+    // New stops default to the nearest built-in city or town not yet on the route
+    const addStop = (cityId = null, nights = 1) => {
+      if (!stopsList || $$(".planner-stops__item", stopsList).length >= APP.planner.road.maxStops) return null;
+      if (!cityId) {
+        const route = routeOf(readFormFields(form, APP.planner.fields).values);
+        const last = route[route.length - 1].place;
+        const used = new Set(route.map((r) => r.place.id));
+        const next = getTripCities().filter((c) => !used.has(c.id)).sort((a, b) => haversineKm(last, a) - haversineKm(last, b))[0];
+        cityId = (next || APP.cities[0]).id;
+      }
+      const row = stopRow(cityId, nights);
+      stopsList.appendChild(row);
+      syncStops();
+      return row;
+    };
+
+    const clearStops = () => {
+      if (!stopsList) return;
+      stopsList.replaceChildren();
+      syncStops();
+    };
+
+    if (stopAddBtn) {
+      stopAddBtn.addEventListener("click", () => {
+        const row = addStop();
+        if (row) $("[data-stop-city]", row).focus();
+      });
+    }
+    if (stopsList) {
+      stopsList.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-stop-remove]");
+        if (!btn) return;
+        btn.closest(".planner-stops__item").remove();
+        syncStops();
+        if (stopAddBtn) stopAddBtn.focus();
+      });
+    }
+    if (form) {
+      form.addEventListener("change", syncStops);
+      form.addEventListener("reset", clearStops);
+    }
+    syncStops();
+
+    const setSelect = (name, value, label) => {
+      const el = form && form.elements ? form.elements[name] : null;
+      if (!(el instanceof HTMLSelectElement) || value == null) return;
+      const v = String(value);
+      if (!$$("option", el).some((o) => o.value === v)) el.appendChild(new Option(label || v, v));
+      el.value = v;
+    };
+
+    // Shared links carry the planner inputs ({ c, s, d, p, i, n, r: [[cityId, nights]] }) plus the text of any slot or tip
+    // edited by hand (anything that no longer matches a fresh regeneration), as
+    // e: [[dayIndex, slotId | "tip", text]]. Places
+    // outside the built-in city list travel with their coordinates: the base city as
+    // g: [name, lat, lon, timeZone], a stop as [cityId, nights, name, lat, lon, timeZone] in r.
+    const sharePayload = (itinerary) => {
+      const { trip } = itinerary;
+      const payload = { c: trip.cityId, s: trip.startDate, d: trip.days, p: trip.pace, i: trip.interests.map((i) => i.id) };
+      if (trip.notes) payload.n = trip.notes;
+      const stops = (trip.stops || []).slice(1);
+      const builtIn = (id) => getTripCities().some((c) => c.id === id);
+      if (stops.length) {
+        payload.r = stops.map((st) => (builtIn(st.cityId)
+          ? [st.cityId, st.nights]
+          : [st.cityId, st.nights, st.cityName, st.location.lat, st.location.lon, st.timeZone]));
+      }
+      if (!builtIn(trip.cityId)) payload.g = [trip.cityName, trip.location.lat, trip.location.lon, trip.timeZone];
+
+      const place = { id: trip.cityId, name: trip.cityName, lat: trip.location.lat, lon: trip.location.lon, timezone: trip.timeZone };
+      const values = {
+        cityId: trip.cityId,
+        startDate: trip.startDate,
+        days: trip.days,
+        pace: trip.pace,
+        interests: payload.i,
+        notes: trip.notes,
+        stops: stops.map((st) => st.cityId),
+        stopNights: stops.map((st) => st.nights),
+      };
+      const fresh = composeItinerary(values, place);
+      const texts = (slot) => (slot ? slot.activities.map((a) => a.text).join("\n") : null);
+      const edits = [];
+      itinerary.days.forEach((day, i) => {
+        const base = fresh.days[i];
+        day.slots.forEach((slot) => {
+          if (!base || texts(slot) !== texts(base.slots.find((x) => x.id === slot.id))) edits.push([i, slot.id, texts(slot)]);
+        });
+        if (!base || day.tips.join("\n") !== base.tips.join("\n")) edits.push([i, "tip", day.tips.join("\n")]);
+      });
+      if (edits.length) payload.e = edits;
+      return payload;
+    };
+
+    // Same flow as the article share button: Web Share where available, otherwise the clipboard
+    const share = async () => {
+      const itinerary = STATE.planner.itinerary;
+      if (!itinerary) {
+        if (status) status.textContent = "Generate an itinerary first, then share it.";
+        return;
+      }
+      const { trip } = itinerary;
+      const shareData = {
+        title: trip.title,
+        text: `${trip.days}-day ${trip.paceLabel.toLowerCase()} itinerary from ${formatItineraryDate(trip.startDate)}.`,
+        url: `${location.href.split("#")[0]}#${APP.planner.shareParam}=${await encodeItineraryShare(sharePayload(itinerary))}`,
+      };
+      try {
+        if (navigator.share) {
+          await navigator.share(shareData);
+        } else {
+          await navigator.clipboard.writeText(`${shareData.title}\n${shareData.text}\n${shareData.url}`);
+          if (status) status.textContent = "Copied a link to this itinerary.";
+        }
+      } catch (err) {
+        // Dismissing the share sheet is not an error
+        if (err && err.name === "AbortError") return;
+        if (status) status.textContent = "Could not share. Copy the link from the address bar instead.";
+        history.replaceState(null, "", shareData.url);
+      }
+    };
+
+    // Puts shared inputs back into the form so the recipient can tweak and regenerate. Returns the
+    // number of stops that could not be placed.
+    const fillForm = (payload, place) => {
+      if (!form || !form.elements) return;
+      const { fields } = APP.planner;
+      if (place) setSelect(fields.cityId.name, place.id, place.name);
+      const n = clamp(Math.round(Number(payload.d)) || 3, 1, 10);
+      setSelect(fields.days.name, n, `${n} Day${n > 1 ? "s" : ""}`);
+      if (fields.pace.choices.includes(payload.p)) setSelect(fields.pace.name, payload.p);
+      const start = form.elements[fields.startDate.name];
+      if (start) start.value = typeof payload.s === "string" ? payload.s : "";
+      const ids = Array.isArray(payload.i) ? payload.i.map(String) : [];
+      $$(`input[name="${fields.interests.name}"]`, form).forEach((el) => (el.checked = ids.includes(el.value)));
+      const notes = form.elements[fields.notes.name];
+      if (notes) notes.value = typeof payload.n === "string" ? payload.n : "";
+      clearStops();
+      const stops = Array.isArray(payload.r) ? payload.r.filter(Array.isArray) : [];
+      return stops.filter(([cityId, nights]) => !(findPlace(cityId) && addStop(cityId, Number(nights)))).length;
+    };
+
+    // A shared place outside the city list, from its [name, lat, lon, timeZone]; null without coordinates
+    const sharedPlace = (id, [name, lat, lon, timeZone] = []) => (Number.isFinite(Number(lat)) && Number.isFinite(Number(lon))
+      ? { id: String(id), name: String(name || id), lat: Number(lat), lon: Number(lon), timezone: typeof timeZone === "string" ? timeZone : undefined }
+      : null);
+
+    // Opens the overlay on a shared link: the form is filled and validated as usual, the itinerary
+    // regenerated, then the sender's edits are laid back on top
+    const openShared = async (token) => {
+      const payload = await decodeItineraryShare(token);
+      if (!payload) {
+        openOverlay(overlay);
+        if (status) status.textContent = "This itinerary link is damaged or cannot be opened in this browser.";
+        return;
+      }
+
+      // Custom places stay choosable until another link is opened, so the recipient can edit and regenerate
+      STATE.planner.sharedPlaces = [];
+      const known = (id) => getPlannerPlaces().some((c) => c.id === id);
+      const base = known(payload.c) || !Array.isArray(payload.g) ? null : sharedPlace(payload.c, payload.g);
+      STATE.planner.sharedPlaces = [base]
+        .concat((Array.isArray(payload.r) ? payload.r : [])
+          .filter((r) => Array.isArray(r) && r.length > 2 && !known(r[0]))
+          .map(([cityId, , ...where]) => sharedPlace(cityId, where)))
+        .filter(Boolean);
+      const place = findPlace(payload.c);
+      const dropped = fillForm(payload, place);
+      const { values, errors: fieldErrors } = readFormFields(form, APP.planner.fields);
+      const errors = fieldErrors.concat(checkRoute(values));
+      // An inconsistent route falls back to a stay in the base city
+      if (errors.some((e) => ["days", "stops", "stopNights"].includes(e.key))) {
+        values.stops = [];
+        values.stopNights = [];
+        clearStops();
+      }
+      const itinerary = composeItinerary(values, place);
+
+      (Array.isArray(payload.e) ? payload.e : []).forEach(([i, slotId, text]) => {
+        const day = itinerary.days[i];
+        if (!day || typeof text !== "string") return;
+        const lines = text.split("\n").filter(Boolean);
+        if (slotId === "tip") {
+          day.tips = lines;
+          return;
+        }
+        const slot = day.slots.find((x) => x.id === slotId);
+        if (slot) slot.activities = lines.map((line) => ({ text: line }));
+      });
+
+      markInvalid(errors);
+      show(itinerary, null);
+      if (status) {
+        const missing = dropped ? ` ${dropped} stop${dropped > 1 ? "s" : ""} could not be found and ${dropped > 1 ? "were" : "was"} left out.` : "";
+        status.textContent = errors.length
+          ? `Opened a shared itinerary with some fields reset — ${errors.map((err) => err.message).join("; ")}.${missing}`
+          : `Opened a shared itinerary.${missing} Save it to your library to keep it.`;
+      }
+      openOverlay(overlay);
+    };
+
+    const openFromHash = () => {
+      const prefix = `#${APP.planner.shareParam}=`;
+      if (!location.hash.startsWith(prefix)) return;
+      const token = location.hash.slice(prefix.length);
+      // Drop the fragment so reloads and other share buttons do not carry the plan along
+      history.replaceState(null, "", location.href.split("#")[0]);
+      openShared(token);
+    };
+
+    if (form) {
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const { itinerary, errors } = buildItinerary();
+        markInvalid(errors);
+        if (!itinerary) {
+          if (status) status.textContent = `Please check the form — ${errors.map((err) => err.message).join("; ")}.`;
+          return;
+        }
+        show(itinerary, null);
+        const long = describeLongLegs(itinerary.trip.legs);
+        if (status) {
+          status.textContent = long
+            ? `Itinerary generated. Heads up: long drive for a ${itinerary.trip.paceLabel.toLowerCase()} pace — ${long}.`
+            : "Itinerary generated. Save it to your library, copy, print or download it.";
+        }
+      });
+    }
+
+    // Library of saved itineraries (see persistPlannerLibrary). Generating a new plan leaves the
+    // library untouched; only Save adds an entry.
+    let renamingId = null;
+    const findEntry = (id) => STATE.planner.library.find((e) => e.id === id) || null;
+    const formatStamp = (iso) => `${formatDateShort(iso)} ${formatTimeShort(iso)}`;
+
+    const show = (itinerary, activeId) => {
+      editing = null;
+      STATE.planner.itinerary = itinerary;
+      STATE.planner.activeId = activeId;
+      render(itinerary);
+      syncSaveButton();
+      renderLibrary();
+    };
+
+    const syncSaveButton = () => {
+      if (!saveBtn) return;
+      const saved = !!STATE.planner.activeId;
+      saveBtn.disabled = !STATE.planner.itinerary || saved;
+      saveBtn.setAttribute("aria-label", saved ? "Itinerary saved in your library" : "Save itinerary to your library");
+    };
+
+    const renderLibrary = () => {
+      if (libraryCount) {
+        const n = STATE.planner.library.length;
+        libraryCount.textContent = n ? `${n} saved${STATE.planner.libraryPersisted ? "" : " (this session only)"}` : "";
+      }
+      if (!libraryList) return;
+      if (!STATE.planner.library.length) {
+        libraryList.innerHTML = `<li class="itinerary-library__empty muted">No saved itineraries yet. Generate one and press the bookmark to keep it.</li>`;
+        return;
+      }
+      libraryList.innerHTML = STATE.planner.library
+        .map((e) => {
+          const { trip } = e.itinerary;
+          const active = e.id === STATE.planner.activeId;
+          const meta = [
+            trip.cityName,
+            `${trip.days} day${trip.days > 1 ? "s" : ""}`,
+            `Created ${formatStamp(e.createdAt)}`,
+            e.updatedAt !== e.createdAt ? `Updated ${formatStamp(e.updatedAt)}` : "",
+          ].filter(Boolean).join(" • ");
+          const name = e.id === renamingId
+            ? `<input class="field__input itinerary-library__rename" type="text" value="${escapeHtml(e.name)}" maxlength="80" aria-label="Rename ${escapeHtml(e.name)}" data-library-rename />`
+            : `
+              <button type="button" class="itinerary-library__open" data-library-action="open" ${active ? `aria-current="true"` : ""}>
+                <span class="itinerary-library__name">${escapeHtml(e.name)}</span>
+                <small class="itinerary-library__meta muted">${escapeHtml(meta)}</small>
+              </button>
+            `;
+          return `
+            <li class="itinerary-library__item${active ? " is-active" : ""}" data-library-id="${escapeHtml(e.id)}">
+              ${name}
+              <span class="itinerary-library__actions">
+                <button type="button" class="icon-btn" data-library-action="rename" aria-label="Rename ${escapeHtml(e.name)}"><i class="ri-edit-line" aria-hidden="true"></i></button>
+                <button type="button" class="icon-btn" data-library-action="duplicate" aria-label="Duplicate ${escapeHtml(e.name)}"><i class="ri-file-copy-line" aria-hidden="true"></i></button>
+                <button type="button" class="icon-btn" data-library-action="delete" aria-label="Delete ${escapeHtml(e.name)}"><i class="ri-delete-bin-line" aria-hidden="true"></i></button>
+              </span>
+            </li>
+          `;
+        })
+        .join("");
+    };
+
+    // Persists, re-renders and announces; `kurdistan:planner:saved` fires for every stored change
+    const libraryChanged = (action, entry) => {
+      const persisted = persistPlannerLibrary();
+      renderLibrary();
+      syncSaveButton();
+      const detail = { action, id: entry.id, name: entry.name, count: STATE.planner.library.length, persisted };
+      dispatch(action === "delete" ? "kurdistan:planner:deleted" : "kurdistan:planner:saved", detail);
+      if (!persisted && status) status.textContent = "Browser storage is unavailable, so saved itineraries last until this tab closes.";
+    };
+
+    // Returns null without storing anything once the library is full; entries are never evicted
+    const libraryFull = `Your library holds ${APP.planner.libraryMax} itineraries, the most it can keep. Delete one to save another.`;
+    const addEntry = (name, itinerary) => {
+      if (STATE.planner.library.length >= APP.planner.libraryMax) return null;
+      const now = new Date().toISOString();
+      const entry = {
+        id: `trip-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name,
+        createdAt: now,
+        updatedAt: now,
+        itinerary,
+      };
+      STATE.planner.library = [entry].concat(STATE.planner.library);
+      return entry;
+    };
+
+    const save = () => {
+      const itinerary = STATE.planner.itinerary;
+      if (!itinerary || STATE.planner.activeId) return;
+      const { trip } = itinerary;
+      const city = trip.cityName.split("(")[0].trim() || trip.cityName;
+      const entry = addEntry(`${city} · ${trip.days} day${trip.days > 1 ? "s" : ""} from ${formatItineraryDate(trip.startDate)}`, itinerary);
+      if (!entry) {
+        if (status) status.textContent = libraryFull;
+        return;
+      }
+      STATE.planner.activeId = entry.id;
+      if (status) status.textContent = `Saved “${entry.name}” to your library.`;
+      libraryChanged("create", entry);
+    };
+
+    const finishRename = (commit) => {
+      const entry = findEntry(renamingId);
+      const input = libraryList ? $("[data-library-rename]", libraryList) : null;
+      renamingId = null;
+      if (!entry) return renderLibrary();
+      const name = input ? input.value.replace(/\s+/g, " ").trim() : "";
+      if (commit && name && name !== entry.name) {
+        entry.name = name;
+        entry.updatedAt = new Date().toISOString();
+        if (status) status.textContent = `Renamed to “${name}”.`;
+        libraryChanged("rename", entry);
+      } else {
+        renderLibrary();
+      }
+      const again = libraryList ? qsIn(libraryList, `[data-library-id="${entry.id}"] [data-library-action="rename"]`) : null;
+      if (again) again.focus();
+    };
+
+    if (saveBtn) saveBtn.addEventListener("click", save);
+
+    if (libraryList) {
+      libraryList.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-library-action]");
+        const item = btn ? btn.closest("[data-library-id]") : null;
+        const entry = item ? findEntry(item.getAttribute("data-library-id")) : null;
+        if (!entry) return;
+        const action = btn.getAttribute("data-library-action");
+
+        if (action === "open") {
+          show(entry.itinerary, entry.id);
+          if (status) status.textContent = `Opened “${entry.name}”.`;
+        } else if (action === "rename") {
+          renamingId = entry.id;
+          renderLibrary();
+          const input = $("[data-library-rename]", libraryList);
+          if (input) {
+            input.focus();
+            input.select();
+          }
+        } else if (action === "duplicate") {
+          const copyEntry = addEntry(`${entry.name} (copy)`, JSON.parse(JSON.stringify(entry.itinerary)));
+          if (!copyEntry) {
+            if (status) status.textContent = libraryFull;
+            return;
+          }
+          if (status) status.textContent = `Duplicated as “${copyEntry.name}”.`;
+          libraryChanged("duplicate", copyEntry);
+        } else if (action === "delete") {
+          STATE.planner.library = STATE.planner.library.filter((x) => x !== entry);
+          if (STATE.planner.activeId === entry.id) STATE.planner.activeId = null;
+          if (status) status.textContent = `Deleted “${entry.name}”.`;
+          libraryChanged("delete", entry);
+        }
+      });
+      libraryList.addEventListener("keydown", (e) => {
+        if (!e.target.matches("[data-library-rename]")) return;
+        if (e.key === "Enter") {
+          e.preventDefault();
+          finishRename(true);
+        } else if (e.key === "Escape") {
+          // Cancel the rename without closing the overlay
+          e.preventDefault();
+          e.stopPropagation();
+          finishRename(false);
+        }
+      });
+      libraryList.addEventListener("focusout", (e) => {
+        if (renamingId && e.target.matches("[data-library-rename]")) finishRename(true);
+      });
+    }
+
+    renderLibrary();
+
+    // Hand edits to slot and tip text, one line per activity or tip. They change the itinerary on screen
+    // (and its library entry, when it has one); share links carry them, see sharePayload().
+    const finishEdit = (commit) => {
+      const itinerary = STATE.planner.itinerary;
+      const key = editing;
+      const input = output ? $("[data-itinerary-editor]", output) : null;
+      editing = null;
+      if (!itinerary || !key) return;
+      const [i, id] = key.split(":");
+      const day = itinerary.days[Number(i)];
+      const slot = day && id !== "tip" ? day.slots.find((x) => x.id === id) : null;
+      const before = slot ? slot.activities.map((a) => a.text) : day ? day.tips : [];
+      const lines = input ? input.value.split("\n").map((line) => line.replace(/\s+/g, " ").trim()).filter(Boolean) : [];
+      const changed = commit && !!day && lines.length > 0 && lines.join("\n") !== before.join("\n");
+      if (changed) {
+        // Lines keep the golden-hour or drive details of the activity they replace
+        if (slot) slot.activities = lines.map((text, n) => ({ ...slot.activities[n], text }));
+        else day.tips = lines;
+      }
+      render(itinerary);
+      const again = output ? qsIn(output, `[data-itinerary-edit="${key}"]`) : null;
+      if (again) again.focus();
+      if (!changed) return;
+      const entry = findEntry(STATE.planner.activeId);
+      if (entry) {
+        entry.updatedAt = new Date().toISOString();
+        if (status) status.textContent = `Updated day ${day.day} of “${entry.name}”.`;
+        libraryChanged("edit", entry);
+      } else if (status) {
+        status.textContent = `Updated day ${day.day}. Save or share the itinerary to keep your changes.`;
+      }
+    };
+
+    if (output) {
+      output.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-itinerary-edit]");
+        if (!btn || !STATE.planner.itinerary) return;
+        editing = btn.getAttribute("data-itinerary-edit");
+        render(STATE.planner.itinerary);
+        const input = $("[data-itinerary-editor]", output);
+        if (input) {
+          input.focus();
+          input.select();
+        }
+      });
+      output.addEventListener("keydown", (e) => {
+        if (!e.target.matches("[data-itinerary-editor]")) return;
+        if (e.key === "Enter" && !e.shiftKey) {
+          // Shift+Enter starts another line
+          e.preventDefault();
+          finishEdit(true);
+        } else if (e.key === "Escape") {
+          // Cancel the edit without closing the overlay
+          e.preventDefault();
+          e.stopPropagation();
+          finishEdit(false);
+        }
+      });
+      output.addEventListener("focusout", (e) => {
+        if (editing && e.target.matches("[data-itinerary-editor]")) finishEdit(true);
+      });
+    }
+
+    // Download: the button opens a small format menu; without one it falls back to Markdown
+    const setExportMenu = (open) => {
+      if (!exportMenu || !downloadBtn) return;
+      setHidden(exportMenu, !open);
+      downloadBtn.setAttribute("aria-expanded", open ? "true" : "false");
+      if (open) {
+        const first = $("[data-export-format]", exportMenu);
+        if (first) first.focus();
+      }
+    };
+
+    const download = (format) => {
+      setExportMenu(false);
+      const file = exportItinerary(STATE.planner.itinerary, format);
+      if (!file) {
+        if (status) status.textContent = "Generate an itinerary first, then download it.";
+        return;
+      }
+      downloadFile(file);
+      if (status) status.textContent = `Downloaded ${file.filename}.`;
+    };
+
+    if (downloadBtn) {
+      downloadBtn.addEventListener("click", () => {
+        if (!exportMenu) return download("markdown");
+        setExportMenu(isHidden(exportMenu));
+      });
+    }
+    if (exportMenu) {
+      exportMenu.addEventListener("click", (e) => {
+        const item = e.target.closest("[data-export-format]");
+        if (item) download(item.getAttribute("data-export-format"));
+      });
+      exportMenu.addEventListener("keydown", (e) => {
+        const items = $$("[data-export-format]", exportMenu);
+        const i = items.indexOf(document.activeElement);
+        if (e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          setExportMenu(false);
+          downloadBtn.focus();
+        } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          items[(i + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length].focus();
+        }
+      });
+      document.addEventListener("click", (e) => {
+        if (!isHidden(exportMenu) && !exportMenu.contains(e.target) && e.target !== downloadBtn && !downloadBtn.contains(e.target)) setExportMenu(false);
+      });
+    }
+
+    if (copyBtn) copyBtn.addEventListener("click", copy);
+    if (clearBtn) clearBtn.addEventListener("click", clear);
+    if (printBtn) printBtn.addEventListener("click", print);
+    if (shareBtn) shareBtn.addEventListener("click", share);
+
+    openFromHash();
+    window.addEventListener("hashchange", openFromHash);
+
+    // On overlay open: show guidance
+    document.addEventListener("kurdistan:overlay:open", (e) => {
+      if (!e.detail) return;
+      const id = overlay.id || null;
+      if (id && e.detail.id !== id) return;
+      if (status && !STATE.planner.itinerary) {
+        status.textContent = "Build a tailored itinerary for Kurdistan—city, pace, and interests.";
+      }
+    });
 
-    const getVal = (name, fallback = "") => {
-      if (!form) return fallback;
-      const el = form.elements && form.elements[name] ? form.elements[name] : null;
-      if (!el) return fallback;
-      if (el instanceof RadioNodeList) return (el.value || fallback).trim();
-      if ("value" in el) return String(el.value || fallback).trim();
-      return fallback;
-    };
+    // Expose for command palette / other UI: prefill city + days, optionally generate right away
+    window.__kurdistanPlannerOpen = ({ cityId, days, generate = false } = {}) => {
+      const city = getTripCities().find((c) => c.id === cityId);
+      if (city) {
+        setSelect("tripCity", city.id, city.name);
+        clearStops();
+      }
+      if (days) {
+        const n = clamp(Math.round(Number(days)) || 3, 1, 10);
+        setSelect("tripDays", n, `${n} Day${n > 1 ? "s" : ""}`);
+      }
 
-    const getChecks = (name) => {
-      if (!form) return [];
-      const els = form.elements && form.elements[name] ? form.elements[name] : null;
-      if (!els) return [];
-      const list = els instanceof NodeList || Array.isArray(els) ? Array.from(els) : [els];
-      return list
-        .filter((x) => x && x.checked)
-        .map((x) => String(x.value || x.getAttribute("data-label") || x.name || "").trim())
-        .filter(Boolean);
+      openOverlay(overlay);
+      if (generate && form) form.dispatchEvent(new Event("submit", { cancelable: true }));
     };
+  }
 
-    const buildItinerary = () => {
-      const city = getVal("city", "Erbil (Hewlêr)");
-      const days = clamp(Number(getVal("days", "3")) || 3, 1, 10);
-      const pace = getVal("pace", "balanced");
-      const interests = getChecks("interests");
-      const notes = getVal("notes", "");
-
-      const paceLabel = pace === "relaxed" ? "Relaxed" : pace === "fast" ? "Fast-paced" : "Balanced";
+  // Reads a form through a declarative field map { key: { name, type, label, fallback, ... } }.
+  // Types: "choice" (choices[] or a function returning them), "integer" (min/max), "date"
+  // ("YYYY-MM-DD"; empty allowed), "checks" (checked values of a checkbox group) and "text"
+  // (maxLength). `list: true` reads every element sharing the name into an array, each validated by
+  // the type. Missing fields use their fallback;
+  // invalid ones are reported as { key, name, message } and also fall back.
+  function readFormFields(form, fields) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(fields).forEach(([key, f]) => {
+      const el = form && form.elements ? form.elements[f.name] : null;
+      const fail = (message) => {
+        errors.push({ key, name: f.name, message: `${f.label}: ${message}` });
+        values[key] = f.fallback;
+      };
+      if (!el) {
+        values[key] = f.fallback;
+        return;
+      }
 
-      const interestLabel = interests.length ? interests.join(", ") : "Culture, nature, and local cuisine";
+      const list = el instanceof RadioNodeList ? Array.from(el) : [el];
+      if (f.type === "checks") {
+        values[key] = list.filter((x) => x.checked).map((x) => String(x.value).trim()).filter(Boolean);
+        return;
+      }
 
-      const cityShort = city.split("(")[0].trim() || city;
+      const parsed = (f.list ? list : [el]).map((x) => readFieldValue(f, String(x.value ?? "").trim()));
+      const bad = parsed.find((p) => p.error);
+      if (bad) return fail(bad.error);
+      values[key] = f.list ? parsed.map((p) => p.value) : parsed[0].value;
+    });
 
-      const suggestions = makeSuggestions(cityShort, interests, pace);
+    return { values, errors };
+  }
 
-      const lines = [];
-      lines.push(`# Kurdistan Trip Plan — ${city}`);
-      lines.push(`- Duration: ${days} day${days > 1 ? "s" : ""}`);
-      lines.push(`- Pace: ${paceLabel}`);
-      lines.push(`- Focus: ${interestLabel}`);
-      if (notes) lines.push(`- Notes: ${notes}`);
-      lines.push("");
+  // One raw value through its field type → { value } or { error }
+  function readFieldValue(f, raw) {
+    if (f.type === "integer") {
+      const n = Number(raw);
+      if (!raw || !Number.isInteger(n)) return { error: "enter a whole number" };
+      if (n < f.min || n > f.max) return { error: `choose between ${f.min} and ${f.max}` };
+      return { value: n };
+    }
+    if (f.type === "date") {
+      const [y, m, d] = raw.split("-").map(Number);
+      const valid = /^\d{4}-\d{2}-\d{2}$/.test(raw) && new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10) === raw;
+      if (raw && !valid) return { error: "enter a valid date" };
+      return { value: raw || f.fallback };
+    }
+    if (f.type === "choice") {
+      const choices = typeof f.choices === "function" ? f.choices() : f.choices;
+      if (!choices.includes(raw)) return { error: "choose one of the listed options" };
+      return { value: raw };
+    }
+    if (f.maxLength && raw.length > f.maxLength) return { error: `keep it under ${f.maxLength} characters` };
+    return { value: raw };
+  }
 
-      for (let d = 1; d <= days; d++) {
-        lines.push(`## Day ${d}`);
-        const dayPlan = suggestions[(d - 1) % suggestions.length];
-        lines.push(`- Morning: ${dayPlan.morning}`);
-        lines.push(`- Afternoon: ${dayPlan.afternoon}`);
-        lines.push(`- Evening: ${dayPlan.evening}`);
-        lines.push(`- Food: ${dayPlan.food}`);
-        lines.push(`- Pro tip: ${dayPlan.tip}`);
-        lines.push("");
-      }
+  // "Mon, Oct 19" for an itinerary day ("YYYY-MM-DD", read as a calendar date)
+  function formatItineraryDate(ymd) {
+    const [y, m, d] = String(ymd || "").split("-").map(Number);
+    if (!y || !m || !d) return "";
+    return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  }
 
-      lines.push(`---`);
-      lines.push(`Generated locally • Customize freely • Safe travel and respect local guidelines.`);
+  function describeItineraryLight(light, timeZone) {
+    const t = (iso) => formatCityTime(new Date(iso), timeZone);
+    return `Golden hour ${t(light.goldenStart)}–${t(light.goldenEnd)}, blue hour until ${t(light.blueEnd)}`;
+  }
 
-      return lines.join("\n");
-    };
+  // Great-circle distance in km between two { lat, lon }
+  function haversineKm(a, b) {
+    const rad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * rad;
+    const dLon = (b.lon - a.lon) * rad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
 
-    const makeSuggestions = (city, interests, pace) => {
-      const like = (k) => interests.map((x) => x.toLowerCase()).some((x) => x.includes(k));
-      const wantsNature = like("nature") || like("mountain") || like("waterfall") || like("hiking");
-      const wantsHistory = like("history") || like("heritage") || like("museum") || like("archaeology");
-      const wantsFood = like("food") || like("cuisine") || like("market") || like("tea");
-      const wantsCulture = like("culture") || like("music") || like("festival") || like("art");
-      const wantsPhotography = like("photo") || like("photography") || like("sunset");
+  // Drive legs between consecutive route stops ([{ place }]), estimated offline: the straight line
+  // stretched by the winding factor at an average road speed, rounded to 5 minutes. `tooLong` marks
+  // legs over the pace's daily driving limit; `day` is filled in by the itinerary builder.
+  function planRoadLegs(route, pace) {
+    const { winding, speedKmh, maxDriveMin } = APP.planner.road;
+    return route.slice(1).map((stop, i) => {
+      const from = route[i].place;
+      const to = stop.place;
+      const km = haversineKm(from, to);
+      const roadKm = Math.round(km * winding);
+      const minutes = Math.max(5, Math.round((roadKm / speedKmh) * 12) * 5);
+      return {
+        from: from.id,
+        fromName: from.name,
+        to: to.id,
+        toName: to.name,
+        day: null,
+        km: Math.round(km),
+        roadKm,
+        minutes,
+        tooLong: minutes > (maxDriveMin[pace] ?? maxDriveMin.balanced),
+      };
+    });
+  }
 
-      const paceFast = pace === "fast";
-      const paceRelaxed = pace === "relaxed";
+  // 150 → "2 h 30 min"
+  function formatDriveTime(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return h ? (m ? `${h} h ${m} min` : `${h} h`) : `${m} min`;
+  }
 
-      const base = {
-        morning: `Start with a sunrise walk and a local breakfast in ${city}.`,
-        afternoon: `Visit a signature viewpoint and explore a nearby neighborhood.`,
-        evening: `Enjoy a calm café stop and a golden-hour stroll.`,
-        food: `Try traditional dishes and regional sweets; ask locals for the best spot.`,
-        tip: `Carry cash for small vendors and keep a light jacket for evening breeze.`,
-      };
+  // "Erbil (2 nights) → Rawanduz (1 night) · about 90 km, 1 h 30 min driving", or "" for a one-city trip
+  function describeItineraryRoute(trip) {
+    if (!trip.stops || trip.stops.length < 2) return "";
+    const stops = trip.stops.map((s) => `${s.cityName.split("(")[0].trim()} (${s.nights} night${s.nights > 1 ? "s" : ""})`);
+    const km = trip.legs.reduce((sum, l) => sum + l.roadKm, 0);
+    const minutes = trip.legs.reduce((sum, l) => sum + l.minutes, 0);
+    return `${stops.join(" → ")} · about ${km} km, ${formatDriveTime(minutes)} driving`;
+  }
 
-      const variants = [];
+  // " · Rawanduz" after a day heading on road trips
+  function itineraryDayPlace(trip, day) {
+    return trip.stops && trip.stops.length > 1 && day.cityName ? ` · ${day.cityName.split("(")[0].trim()}` : "";
+  }
 
-      variants.push({
-        morning: wantsHistory
-          ? `Museum + old quarter: begin with a heritage museum or historic citadel area in ${city}.`
-          : `Local life: breakfast + traditional market walk to see daily rhythms in ${city}.`,
-        afternoon: wantsNature
-          ? `Nature escape: drive to a scenic area (valley, waterfall, or mountain viewpoint) near ${city}.`
-          : `City textures: architecture tour + artisan shops and craft streets in ${city}.`,
-        evening: wantsCulture
-          ? `Culture hour: attend a music venue, cultural center, or community gathering (if available).`
-          : `Sunset views: choose a rooftop or hilltop viewpoint for sunset in/near ${city}.`,
-        food: wantsFood
-          ? `Food route: sample kebab + dolma + local bread; finish with tea and seasonal fruit.`
-          : `Classic dinner: choose a well-reviewed family restaurant; try local appetizers + tea.`,
-        tip: paceFast
-          ? `Fast pace: pre-book drivers/taxis; group nearby spots to save time.`
-          : paceRelaxed
-          ? `Relaxed pace: keep one big highlight and leave space for spontaneous stops.`
-          : `Balanced pace: schedule a highlight, then leave 2–3 hours flexible.`,
+  // Plain-text (Markdown) rendering of the itinerary model, used for copy and print
+  function itineraryToMarkdown(itinerary) {
+    const { trip } = itinerary;
+    const lines = [];
+    lines.push(`# ${trip.title}`);
+    lines.push(`- Duration: ${trip.days} day${trip.days > 1 ? "s" : ""}`);
+    if (describeItineraryRoute(trip)) lines.push(`- Route: ${describeItineraryRoute(trip)}`);
+    lines.push(`- Pace: ${trip.paceLabel}`);
+    lines.push(`- Focus: ${trip.interests.length ? trip.interests.map((i) => i.label).join(", ") : "Culture, nature, and local cuisine"}`);
+    if (trip.notes) lines.push(`- Notes: ${trip.notes}`);
+    lines.push("");
+
+    itinerary.days.forEach((day) => {
+      lines.push(`## Day ${day.day} — ${formatItineraryDate(day.date)}${itineraryDayPlace(trip, day)}`);
+      day.slots.forEach((slot) => {
+        slot.activities.forEach((a) => {
+          const light = a.light ? ` (${describeItineraryLight(a.light, trip.timeZone)})` : "";
+          lines.push(`- ${slot.label}: ${a.text}${light}`);
+        });
       });
+      day.tips.forEach((tip) => lines.push(`- Pro tip: ${tip}`));
+      lines.push("");
+    });
 
-      variants.push({
-        morning: wantsNature
-          ? `Early nature: hike a short trail or visit a viewpoint before crowds (sunrise is best).`
-          : `City morning: coffee + a calm walk in a central park or promenade area.`,
-        afternoon: wantsHistory
-          ? `Heritage focus: guided walking tour or historic landmarks with local storytelling.`
-          : `Explore focus: neighborhood hopping + local markets for gifts and crafts.`,
-        evening: wantsPhotography
-          ? `Photo session: golden-hour shots, then night lights in the most iconic streets.`
-          : `Slow evening: tea house + live ambiance; keep it simple and restorative.`,
-        food: `Ask for the most famous dish in the city and order it “as locals eat it.”`,
-        tip: `Always confirm closing hours—some sites close early; keep ID and essentials secure.`,
+    lines.push(`---`);
+    lines.push(`Generated locally • Customize freely • Safe travel and respect local guidelines.`);
+    return lines.join("\n");
+  }
+
+  // Plain text without Markdown markup: underlined headings and indented slots
+  function itineraryToPlainText(itinerary) {
+    const { trip } = itinerary;
+    const heading = (text, ch) => [text, ch.repeat(text.length)];
+    const lines = heading(trip.title, "=");
+    lines.push(`Duration: ${trip.days} day${trip.days > 1 ? "s" : ""}`);
+    if (describeItineraryRoute(trip)) lines.push(`Route: ${describeItineraryRoute(trip)}`);
+    lines.push(`Pace: ${trip.paceLabel}`);
+    if (trip.interests.length) lines.push(`Focus: ${trip.interests.map((i) => i.label).join(", ")}`);
+    if (trip.notes) lines.push(`Notes: ${trip.notes}`);
+
+    itinerary.days.forEach((day) => {
+      lines.push("", ...heading(`Day ${day.day} — ${formatItineraryDate(day.date)}${itineraryDayPlace(trip, day)}`, "-"));
+      day.slots.forEach((slot) => {
+        slot.activities.forEach((a) => {
+          lines.push(`${slot.time}  ${slot.label}: ${a.text}`);
+          if (a.light) lines.push(`       ${describeItineraryLight(a.light, trip.timeZone)}`);
+        });
       });
+      day.tips.forEach((tip) => lines.push(`Tip: ${tip}`));
+    });
+    return lines.join("\n");
+  }
 
-      variants.push({
-        morning: wantsCulture
-          ? `Culture morning: galleries, craft studios, or language/calligraphy showcases.`
-          : `Classic morning: relaxed breakfast, then a curated shortlist of must-see spots.`,
-        afternoon: wantsNature
-          ? `Scenic loop: valley drive + picnic viewpoint; keep water and snacks handy.`
-          : `Urban loop: iconic squares + cafés + shopping for handicrafts.`,
-        evening: `Dinner + stroll: choose a safe, lively area and enjoy the atmosphere.`,
-        food: `Dessert stop: look for local pastries and seasonal specialties.`,
-        tip: `Respect local customs and dress norms; people appreciate polite greetings.`,
+  // Self-contained page (inline styles, no external assets) that opens and prints anywhere
+  function itineraryToHtmlDocument(itinerary, { autoPrint = false } = {}) {
+    const { trip } = itinerary;
+    const meta = [
+      `${trip.days} day${trip.days > 1 ? "s" : ""}`,
+      trip.paceLabel,
+      ...trip.interests.map((i) => i.label),
+    ];
+    const days = itinerary.days
+      .map((day) => `
+        <section class="day">
+          <h2>Day ${day.day} <small>${escapeHtml(`${formatItineraryDate(day.date)}${itineraryDayPlace(trip, day)}`)}</small></h2>
+          <ol>
+            ${day.slots
+              .map((slot) => slot.activities
+                .map((a) => `
+                  <li>
+                    <time>${escapeHtml(slot.time)}</time>
+                    <div>
+                      <strong>${escapeHtml(slot.label)}</strong>
+                      <p>${escapeHtml(a.text)}</p>
+                      ${a.light ? `<p class="light">${escapeHtml(describeItineraryLight(a.light, trip.timeZone))}</p>` : ""}
+                    </div>
+                  </li>
+                `)
+                .join(""))
+              .join("")}
+          </ol>
+          ${day.tips.map((tip) => `<p class="tip">${escapeHtml(tip)}</p>`).join("")}
+        </section>
+      `)
+      .join("");
+
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(trip.title)}</title>
+    <style>
+      body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1d2233; background: #f6f3ec; margin: 0; padding: 32px 20px; line-height: 1.5; }
+      main { max-width: 760px; margin: 0 auto; }
+      h1 { font-size: 24px; margin: 0 0 8px; }
+      .meta { display: flex; flex-wrap: wrap; gap: 6px; margin: 0 0 8px; padding: 0; list-style: none; }
+      .meta li { padding: 2px 10px; border-radius: 999px; background: #e9dfc4; font-size: 13px; }
+      .notes, .route { color: #555b6e; font-size: 14px; }
+      .day { margin-top: 18px; padding: 16px 18px; border-radius: 14px; background: #fff; box-shadow: 0 4px 18px rgba(0, 0, 0, 0.06); break-inside: avoid; }
+      .day h2 { font-size: 17px; margin: 0 0 10px; }
+      .day h2 small { font-weight: 400; color: #6b7185; margin-left: 6px; }
+      ol { list-style: none; margin: 0; padding: 0; display: grid; gap: 10px; }
+      li { display: grid; grid-template-columns: 56px 1fr; gap: 10px; }
+      time { color: #a0782a; font-variant-numeric: tabular-nums; }
+      p { margin: 2px 0 0; }
+      .light, .tip { color: #6b7185; font-size: 13px; }
+      .tip { margin-top: 10px; }
+      footer { margin-top: 24px; color: #6b7185; font-size: 12px; }
+      @media print { body { background: #fff; padding: 0; } .day { box-shadow: none; border: 1px solid #ddd; } }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>${escapeHtml(trip.title)}</h1>
+      <ul class="meta">${meta.map((m) => `<li>${escapeHtml(m)}</li>`).join("")}</ul>
+      ${describeItineraryRoute(trip) ? `<p class="route">${escapeHtml(describeItineraryRoute(trip))}</p>` : ""}
+      ${trip.notes ? `<p class="notes">${escapeHtml(trip.notes)}</p>` : ""}
+      ${days}
+      <footer>Generated locally • Customize freely • Safe travel and respect local guidelines.</footer>
+    </main>
+    ${autoPrint ? `<script>window.onload = () => setTimeout(() => window.print(), 120);</script>` : ""}
+  </body>
+</html>
+`;
+  }
+
+  // RFC 5545 calendar: one event per travel/morning/afternoon/evening slot, from the slot's time until
+  // the next slot starts (travel: for the drive time), in the trip's time zone. GEO comes from the day's stop (the base city on
+  // one-city trips).
+  function itineraryToIcs(itinerary) {
+    const { trip } = itinerary;
+    const base = trip.location || APP.cities.find((c) => c.id === trip.cityId) || {};
+    const escapeText = (str) => String(str ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+    const local = (date, time) => `${date.replaceAll("-", "")}T${time.replace(":", "")}00`;
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const uidBase = `${trip.cityId}-${itinerary.createdAt.replace(/\D/g, "")}`;
+
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Kurdistan Showcase//Trip Planner//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(trip.title)}`,
+      ...icsTimeZone(trip.timeZone, trip.startDate),
+    ];
+
+    itinerary.days.forEach((day) => {
+      // Road trips place each day at its stop
+      const stop = (trip.stops || []).find((s) => s.cityId === day.cityId);
+      const place = stop ? stop.location : base;
+      const hasGeo = Number.isFinite(place.lat) && Number.isFinite(place.lon);
+      const where = stop ? stop.cityName : trip.cityName;
+      day.slots.forEach((slot, i) => {
+        if (!APP.planner.calendarSlots.includes(slot.id)) return;
+        const next = day.slots[i + 1];
+        const drive = slot.activities.find((a) => a.drive);
+        const description = slot.activities
+          .map((a) => (a.light ? `${a.text}\n${describeItineraryLight(a.light, trip.timeZone)}` : a.text))
+          .concat(day.tips.map((tip) => `Pro tip: ${tip}`))
+          .join("\n\n");
+        lines.push(
+          "BEGIN:VEVENT",
+          `UID:${uidBase}-d${day.day}-${slot.id}@kurdistan-trip-planner`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;TZID=${trip.timeZone}:${local(day.date, slot.time)}`,
+          drive ? `DURATION:PT${drive.drive.minutes}M` : next ? `DTEND;TZID=${trip.timeZone}:${local(day.date, next.time)}` : "DURATION:PT2H",
+          `SUMMARY:${escapeText(`Day ${day.day} ${slot.label.toLowerCase()} — ${where}`)}`,
+          `DESCRIPTION:${escapeText(description)}`,
+          `LOCATION:${escapeText(where)}`,
+          ...(hasGeo ? [`GEO:${place.lat.toFixed(6)};${place.lon.toFixed(6)}`] : []),
+          "END:VEVENT"
+        );
       });
+    });
 
-      // Strengthen with city-specific flavor (generic, safe suggestions)
-      const cityLower = city.toLowerCase();
-      const addCity = (s, c) => {
-        if (cityLower.includes("erbil") || cityLower.includes("hewl")) return s.replaceAll("nearby", "around Erbil").replaceAll("historic", "historic");
-        if (cityLower.includes("sulay") || cityLower.includes("sil")) return s.replaceAll("nearby", "around Sulaymaniyah");
-        if (cityLower.includes("duhok") || cityLower.includes("dih")) return s.replaceAll("nearby", "around Duhok");
-        if (cityLower.includes("halab")) return s.replaceAll("nearby", "around Halabja");
-        if (cityLower.includes("zakh")) return s.replaceAll("nearby", "around Zakho");
-        return s;
-      };
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+  }
 
-      return variants.map((v) => ({
-        morning: addCity(v.morning, city),
-        afternoon: addCity(v.afternoon, city),
-        evening: addCity(v.evening, city),
-        food: addCity(v.food, city),
-        tip: addCity(v.tip, city),
-      }));
-    };
+  // VTIMEZONE with the zone's UTC offset on the trip's first day. Kurdistan's zone (Asia/Baghdad)
+  // has had no daylight saving since 2008, so one STANDARD block describes it fully.
+  function icsTimeZone(timeZone, date) {
+    let offset = "+03:00";
+    try {
+      const name = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" })
+        .formatToParts(new Date(`${date}T12:00:00Z`))
+        .find((p) => p.type === "timeZoneName").value;
+      offset = name === "GMT" ? "+00:00" : name.replace("GMT", "");
+    } catch {}
+    const ics = offset.replace(":", "");
+    return [
+      "BEGIN:VTIMEZONE",
+      `TZID:${timeZone}`,
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${ics}`,
+      `TZOFFSETTO:${ics}`,
+      `TZNAME:${offset.slice(0, 3)}`,
+      "END:STANDARD",
+      "END:VTIMEZONE",
+    ];
+  }
 
-    const render = (text) => {
-      if (!output) return;
-      // Render as preformatted
-      output.innerHTML = `
-        <pre style="margin:0; white-space:pre-wrap; word-break:break-word; color:var(--ink); font-family:ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace; font-size:12.5px; line-height:1.55;">${escapeHtml(text)}</pre>
-      `;
-      if (empty) setHidden(empty, true);
+  // Content lines are folded at 75 octets (UTF-8), continuation lines start with a space
+  function foldIcsLine(line) {
+    const bytes = (ch) => {
+      const cp = ch.codePointAt(0);
+      return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
     };
+    let out = "";
+    let size = 0;
+    for (const ch of line) {
+      const n = bytes(ch);
+      if (size + n > 75) {
+        out += "\r\n ";
+        size = 1;
+      }
+      out += ch;
+      size += n;
+    }
+    return out;
+  }
 
-    const clear = () => {
-      if (!output) return;
-      output.innerHTML = "";
-      if (empty) setHidden(empty, false);
-      if (status) status.textContent = "Fill the form and generate a tailored itinerary.";
-    };
+  // "kurdistan-trip-duhok-2026-10-19-to-2026-10-21.md"
+  function itineraryFilename(itinerary, ext) {
+    const { trip } = itinerary;
+    const city = normalizeSearchText(trip.cityName.split("(")[0]).replace(/ +/g, "-") || "trip";
+    const first = itinerary.days[0] ? itinerary.days[0].date : trip.startDate;
+    const last = itinerary.days.length ? itinerary.days[itinerary.days.length - 1].date : first;
+    const dates = first === last ? first : `${first}-to-${last}`;
+    return `kurdistan-trip-${city}-${dates}.${ext}`;
+  }
 
-    const copy = async () => {
-      if (!output) return;
-      const pre = $("pre", output);
-      const txt = pre ? pre.textContent : "";
-      if (!txt.trim()) return;
+  // → { filename, mime, content } for one of APP.planner.exportFormats, or null for an unknown format
+  function exportItinerary(itinerary, format) {
+    const fmt = APP.planner.exportFormats[format];
+    if (!itinerary || !fmt) return null;
+    const content =
+      format === "json" ? JSON.stringify(itinerary, null, 2)
+      : format === "ics" ? itineraryToIcs(itinerary)
+      : format === "html" ? itineraryToHtmlDocument(itinerary)
+      : format === "text" ? itineraryToPlainText(itinerary)
+      : itineraryToMarkdown(itinerary);
+    return { filename: itineraryFilename(itinerary, fmt.ext), mime: fmt.mime, content };
+  }
 
+  function downloadFile({ filename, mime, content }) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.rel = "noopener";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Shared itinerary token for the URL fragment: "1.z.<base64url>" holds deflate-raw compressed JSON,
+  // "1.j.<base64url>" plain JSON for browsers without CompressionStream
+  async function encodeItineraryShare(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === "function") {
       try {
-        await navigator.clipboard.writeText(txt);
-        if (status) status.textContent = "Copied itinerary to clipboard.";
+        const packed = await new Response(new Response(bytes).body.pipeThrough(new CompressionStream("deflate-raw"))).arrayBuffer();
+        return `1.z.${bytesToBase64Url(new Uint8Array(packed))}`;
       } catch {
-        // fallback: select via textarea
-        const ta = document.createElement("textarea");
-        ta.value = txt;
-        ta.style.position = "fixed";
-        ta.style.left = "-9999px";
-        document.body.appendChild(ta);
-        ta.select();
-        try {
-          document.execCommand("copy");
-          if (status) status.textContent = "Copied itinerary to clipboard.";
-        } catch {
-          if (status) status.textContent = "Could not copy. Select the text manually.";
-        } finally {
-          document.body.removeChild(ta);
-        }
+        // fall back to plain JSON
       }
-    };
+    }
+    return `1.j.${bytesToBase64Url(bytes)}`;
+  }
 
-    const print = () => {
-      if (!output) return;
-      const pre = $("pre", output);
-      const txt = pre ? pre.innerHTML : "";
-      const w = window.open("", "_blank", "noopener,noreferrer,width=900,height=700");
-      if (!w) {
-        if (status) status.textContent = "Popup blocked. Please allow popups to print.";
-        return;
+  // → payload object, or null when the token is malformed or cannot be decompressed here
+  async function decodeItineraryShare(token) {
+    const m = /^1\.([zj])\.([A-Za-z0-9_-]+)$/.exec(String(token || ""));
+    if (!m) return null;
+    try {
+      let bytes = base64UrlToBytes(m[2]);
+      if (m[1] === "z") {
+        if (typeof DecompressionStream !== "function") return null;
+        bytes = new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(new DecompressionStream("deflate-raw"))).arrayBuffer());
       }
-      w.document.open();
-      w.document.write(`
-        <!doctype html>
-        <html>
-          <head>
-            <meta charset="utf-8" />
-            <meta name="viewport" content="width=device-width, initial-scale=1" />
-            <title>Itinerary Print</title>
-            <style>
-              body{ font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace; margin: 24px; }
-              pre{ white-space: pre-wrap; word-break: break-word; line-height: 1.55; font-size: 12.5px; }
-              h1{ font-size: 16px; margin:0 0 12px; }
-            </style>
-          </head>
-          <body>
-            <h1>Kurdistan Trip Itinerary</h1>
-            <pre>${txt}</pre>
-            <script>window.onload=()=>setTimeout(()=>{window.print();}, 120);</script>
-          </body>
-        </html>
-      `);
-      w.document.close();
-    };
-
-    if (form) {
-      form.addEventListener("submit", (e) => {
-        e.preventDefault();
-        const txt = buildItinerary();
-        render(txt);
-        if (status) status.textContent = "Itinerary generated. You can copy or print it.";
-      });
+      const payload = safeJsonParse(new TextDecoder().decode(bytes), null);
+      return payload && typeof payload === "object" && !Array.isArray(payload) ? payload : null;
+    } catch {
+      return null;
     }
+  }
 
-    if (copyBtn) copyBtn.addEventListener("click", copy);
-    if (clearBtn) clearBtn.addEventListener("click", clear);
-    if (printBtn) printBtn.addEventListener("click", print);
+  function bytesToBase64Url(bytes) {
+    let bin = "";
+    // Chunked so long itineraries stay under the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
 
-    // On overlay open: show guidance
-    document.addEventListener("kurdistan:overlay:open", (e) => {
-      if (!e.detail) return;
-      const id = overlay.id || null;
-      if (id && e.detail.id !== id) return;
-      if (status && (!output || !output.textContent.trim())) {
-        status.textContent = "Build a tailored itinerary for Kurdistan—city, pace, and interests.";
-      }
-    });
+  function base64UrlToBytes(text) {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    return Uint8Array.from(atob(b64 + "===".slice((b64.length + 3) % 4)), (c) => c.charCodeAt(0));
   }
 
   /* -----------------------------
@@ -2004,6 +5659,212 @@
     }
   }
 
+  /* -----------------------------
+     10f) Command Palette (actions + content, Ctrl/⌘ K)
+  ------------------------------ */
+  function initCommandPalette() {
+    const overlay = $(APP.selectors.commandPalette);
+    if (!overlay) return;
+
+    const input = qsIn(overlay, ".search__input", "input[data-palette-input]", "input");
+    const list = qsIn(overlay, "[data-palette-results]", ".search__results");
+    if (!input || !list) return;
+
+    list.setAttribute("role", "listbox");
+    list.setAttribute("aria-label", "Commands and results");
+    if (!list.id) list.id = `${overlay.id || "palette"}Results`;
+    input.setAttribute("role", "combobox");
+    input.setAttribute("aria-autocomplete", "list");
+    input.setAttribute("aria-controls", list.id);
+    input.setAttribute("aria-expanded", "false");
+
+    let entries = [];
+    let activeIndex = -1;
+
+    const goTo = (id) => window.KurdistanUI && window.KurdistanUI.scrollTo(id);
+    const call = (name, ...args) => {
+      if (typeof window[name] === "function") window[name](...args);
+    };
+
+    // Rebuilt on every open so filters/cards added since boot are included
+    const buildCommands = () => {
+      const cmds = [];
+      const add = (title, keywords, icon, run) => cmds.push({ title, icon, run, tokens: tokenizeSearchText(`${title} ${keywords}`) });
+
+      add("Open site search", "find lookup", "ri-search-line", () => window.KurdistanUI.openSearch());
+      add("Open weather", "forecast temperature", "ri-sun-cloudy-line", () => call("__kurdistanWeatherOpen"));
+      add("Open trip planner", "plan itinerary", "ri-route-line", () => window.KurdistanUI.openPlanner());
+      add("Toggle theme", "dark light mode appearance", "ri-contrast-2-line", toggleTheme);
+      add("Open latest news", "newest recent story article read", "ri-newspaper-line", () => {
+        const dated = STATE.news.items.map((it) => {
+          const time = qsIn(it.el, "time[datetime]");
+          const ts = new Date(time ? time.getAttribute("datetime") : it.date).getTime();
+          return { it, ts: Number.isFinite(ts) ? ts : 0 };
+        });
+        dated.sort((a, b) => b.ts - a.ts);
+        if (dated[0]) openSearchTarget({ target: { type: "article", el: dated[0].it.el } });
+      });
+
+      $$(APP.selectors.navLinks)
+        .filter((a) => a instanceof HTMLAnchorElement && (a.getAttribute("href") || "").length > 1)
+        .forEach((a) => {
+          const id = a.getAttribute("href").slice(1);
+          const label = (a.textContent || id).trim();
+          if (document.getElementById(id) && !cmds.some((c) => c.sectionId === id)) {
+            add(`Go to ${label}`, `section jump scroll ${id}`, "ri-compass-3-line", () => goTo(id));
+            cmds[cmds.length - 1].sectionId = id;
+          }
+        });
+
+      APP.cities.forEach((c) => {
+        const aliases = (c.aliases || []).join(" ");
+        add(`Weather in ${c.name}`, `weather forecast temperature ${c.id} ${aliases}`, "ri-sun-cloudy-line", () => call("__kurdistanWeatherOpen", c.id));
+        add(`Plan a trip to ${c.name}`, `plan planner itinerary trip days ${c.id} ${aliases}`, "ri-route-line", (args) =>
+          call("__kurdistanPlannerOpen", { cityId: c.id, days: args.days, generate: true })
+        );
+        cmds[cmds.length - 1].label = (args) => (args.days ? `Plan ${args.days} day${args.days > 1 ? "s" : ""} in ${c.name}` : null);
+      });
+
+      const uniq = (attr) => [...new Set($$(`[${attr}]`).map((b) => String(b.getAttribute(attr) || "").toLowerCase()).filter(Boolean))];
+      uniq("data-gallery-filter").forEach((f) => {
+        add(`Go to gallery: ${f}`, "gallery photos images filter", "ri-gallery-line", () => {
+          goTo("gallery");
+          call("__kurdistanGalleryFilter", f);
+        });
+      });
+      uniq("data-news-filter").forEach((f) => {
+        add(`News: ${f}`, "news stories articles blog filter category", "ri-newspaper-line", () => {
+          goTo("news");
+          call("__kurdistanNewsFilter", { filter: f, query: "" });
+        });
+      });
+
+      return cmds;
+    };
+
+    let commands = [];
+
+    const parseArgs = (query) => {
+      const m = String(query).match(/\b(\d{1,2})\s*(?:-\s*)?(?:days?|d|nights?)?\b/i);
+      return { days: m ? Number(m[1]) : null };
+    };
+
+    const rank = (query) => {
+      const args = parseArgs(query);
+      const qTokens = tokenizeSearchText(query).filter((t) => !/^\d+$/.test(t));
+
+      const actions = commands
+        .map((cmd, order) => {
+          let score = 0;
+          for (const q of qTokens) {
+            const v = matchSearchToken(q, cmd.tokens);
+            if (!v) return null;
+            score += v;
+          }
+          // Verb-first queries ("weather …", "plan …") favour commands whose title starts that way
+          if (qTokens[0] && tokenizeSearchText(cmd.title)[0] === qTokens[0]) score += 0.5;
+          return { kind: "action", cmd, args, score, order };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, APP.palette.maxActions);
+
+      const content = qTokens.length
+        ? ensureSearchIndex()
+            .search(query)
+            .slice(0, APP.palette.maxContent)
+            .map((r) => ({ kind: "content", doc: r.doc }))
+        : [];
+
+      return [...actions, ...content];
+    };
+
+    const setActive = (i) => {
+      const options = $$("[role='option']", list);
+      activeIndex = i >= 0 && i < options.length ? i : -1;
+      options.forEach((opt, n) => {
+        const on = n === activeIndex;
+        opt.setAttribute("aria-selected", on ? "true" : "false");
+        toggleClass(opt, "is-active", on);
+        if (on) opt.scrollIntoView({ block: "nearest" });
+      });
+      if (activeIndex >= 0) input.setAttribute("aria-activedescendant", options[activeIndex].id);
+      else input.removeAttribute("aria-activedescendant");
+    };
+
+    const render = () => {
+      entries = rank(input.value.trim());
+      setHTML(
+        list,
+        entries.length
+          ? entries
+              .map((en, i) => {
+                const title = en.kind === "action" ? (en.cmd.label && en.cmd.label(en.args)) || en.cmd.title : en.doc.title;
+                const icon = en.kind === "action" ? en.cmd.icon : en.doc.badge === "City" ? "ri-map-pin-2-line" : "ri-file-text-line";
+                const kind = en.kind === "action" ? "Action" : en.doc.section || en.doc.badge || "Content";
+                return `
+                  <div class="search__option palette__option" role="option" id="${list.id}-opt-${i}" aria-selected="false" data-palette-index="${i}">
+                    <i class="${icon}" aria-hidden="true"></i>
+                    <span class="palette__title">${escapeHtml(title)}</span>
+                    <span class="meta-pill">${escapeHtml(kind)}</span>
+                  </div>
+                `;
+              })
+              .join("")
+          : `<div class="reader__placeholder">No matching actions or content.</div>`
+      );
+      input.setAttribute("aria-expanded", entries.length ? "true" : "false");
+      // Pre-select the best match so Enter runs it immediately
+      setActive(entries.length ? 0 : -1);
+    };
+
+    const run = (i) => {
+      const en = entries[i];
+      if (!en) return;
+      closeOverlay(overlay);
+      if (en.kind === "action") en.cmd.run(en.args);
+      else openSearchTarget(en.doc);
+      dispatch("kurdistan:palette:run", { kind: en.kind, title: en.kind === "action" ? en.cmd.title : en.doc.title });
+    };
+
+    input.addEventListener("input", render);
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        if (!entries.length) return;
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setActive(activeIndex < 0 ? 0 : (activeIndex + step + entries.length) % entries.length);
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        run(activeIndex >= 0 ? activeIndex : 0);
+      }
+    });
+
+    list.addEventListener("click", (e) => {
+      const opt = e.target instanceof Element ? e.target.closest("[data-palette-index]") : null;
+      if (opt) run(Number(opt.getAttribute("data-palette-index")));
+    });
+
+    const form = input.form;
+    if (form) form.addEventListener("submit", (e) => e.preventDefault());
+
+    document.addEventListener("kurdistan:overlay:open", (e) => {
+      if (!e.detail || e.detail.id !== overlay.id) return;
+      commands = buildCommands();
+      input.value = "";
+      render();
+      setTimeout(() => input.focus({ preventScroll: true }), 20);
+    });
+
+    // Ctrl/⌘ K toggles the palette from anywhere
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || String(e.key).toLowerCase() !== "k") return;
+      e.preventDefault();
+      if (isHidden(overlay)) openOverlay(overlay);
+      else closeOverlay(overlay);
+    });
+  }
+
   /* -----------------------------
      11) Sliders (Explore, etc.)
   ------------------------------ */
@@ -2227,6 +6088,9 @@
     const activeBtn = filterBtns.find((b) => b.classList.contains("is-active"));
     if (activeBtn) applyFilter(activeBtn.getAttribute("data-gallery-filter") || "all");
     else applyFilter("all");
+
+    // Expose for command palette / other UI
+    window.__kurdistanGalleryFilter = applyFilter;
   }
 
   /* -----------------------------
@@ -2445,6 +6309,17 @@
     const activeBtn = filterBtns.find((b) => b.classList.contains("is-active"));
     if (activeBtn) STATE.news.filter = String(activeBtn.getAttribute("data-news-filter") || "all").toLowerCase();
     apply();
+
+    // Expose for command palette / other UI
+    window.__kurdistanNewsFilter = ({ filter, query } = {}) => {
+      if (filter !== undefined) STATE.news.filter = String(filter || "all").toLowerCase();
+      if (query !== undefined) {
+        STATE.news.query = String(query || "");
+        if (searchInput) searchInput.value = STATE.news.query;
+      }
+      STATE.news.page = 1;
+      apply();
+    };
   }
 
   /* -----------------------------
@@ -2627,6 +6502,32 @@
       const ov = $(APP.selectors.plannerOverlay);
       if (ov) openOverlay(ov);
     },
+    openPalette() {
+      const ov = $(APP.selectors.commandPalette);
+      if (ov) openOverlay(ov);
+    },
+    toggleTheme() {
+      toggleTheme();
+    },
+    // Weather adapter: { attribution?, async fetchForecast(city, { signal, units }) → normalized model,
+    // optional fetchForecastBatch(cities, { signal, units }), fetchAirQuality(city, { signal }),
+    // fetchClimate(city, { signal, units }) and searchPlaces(query, { signal }) }. `units` are the
+    // preferred units to request natively; the model's own `units` say what was returned.
+    registerWeatherProvider(name, provider) {
+      return registerWeatherProvider(name, provider);
+    },
+    // Offline sun times for a city id (or { lat, lon, timezone? }) on "YYYY-MM-DD"; see computeSolarDay
+    getSunTimes(city, date) {
+      const place = typeof city === "string" ? getWeatherCities().find((c) => c.id === city) : city;
+      return place ? computeSolarDay(place, date) : null;
+    },
+    // Preset name ("metric" / "imperial") or partial { temperature, wind, precipitation, pressure }
+    setWeatherUnits(units) {
+      const next = typeof units === "string" ? APP.weather.units.presets[units] : units;
+      if (!next) return { ...STATE.weather.unitPrefs };
+      const apply = typeof window.__kurdistanWeatherUnits === "function" ? window.__kurdistanWeatherUnits : setWeatherUnitPrefs;
+      return { ...apply(next) };
+    },
     closeTop() {
       closeTopOverlay();
     },
@@ -2634,5 +6535,12 @@
       const el = document.getElementById(String(id || "").replace("#", ""));
       if (el) smoothScrollTo(el, STATE.headerOffset);
     },
+    // Extra search documents: { id?, title, desc, href, section, badge, tags[] } → doc id
+    registerSearchDocument(doc) {
+      return doc ? ensureSearchIndex().add(doc) : null;
+    },
+    unregisterSearchDocument(id) {
+      return ensureSearchIndex().remove(id);
+    },
   };
 })();